@@ -0,0 +1,98 @@
+/*
+ * Accordion Block
+ * Recreate an accordion
+ * https://www.aem.live/developer/block-collection/accordion
+ */
+
+import { getHashId, getUniqueId, moveInstrumentation } from '../../scripts/scripts.js';
+
+let accordionCount = 0;
+
+// questions and answers of the accordions on the page, by block
+const faqs = new Map();
+let faqJsonLd;
+
+/**
+ * Writes the FAQPage JSON-LD for the items of all accordions on the page.
+ */
+function updateFaqJsonLd() {
+  [...faqs.keys()].filter((block) => !block.isConnected).forEach((block) => faqs.delete(block));
+  const mainEntity = [...faqs.values()].flat();
+  if (!faqJsonLd) {
+    faqJsonLd = document.createElement('script');
+    faqJsonLd.type = 'application/ld+json';
+    document.head.append(faqJsonLd);
+  }
+  faqJsonLd.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity,
+  });
+}
+
+/**
+ * Opens the item the URL hash points to.
+ * @param {Element} block The accordion block
+ */
+function openFromHash(block) {
+  const id = getHashId();
+  const item = id && [...block.querySelectorAll(':scope > details')].find((d) => d.id === id);
+  if (item) item.open = true;
+}
+
+export default function decorate(block) {
+  accordionCount += 1;
+  const single = block.classList.contains('single');
+
+  [...block.children].forEach((row) => {
+    // decorate accordion item label
+    const label = row.children[0];
+    const summary = document.createElement('summary');
+    summary.className = 'accordion-item-label';
+    moveInstrumentation(label, summary);
+    summary.append(...label.childNodes);
+    // decorate accordion item body
+    const body = row.children[1] || document.createElement('div');
+    body.className = 'accordion-item-body';
+    // decorate accordion item
+    const details = document.createElement('details');
+    details.className = 'accordion-item';
+    moveInstrumentation(row, details);
+    details.id = getUniqueId(summary.textContent, 'accordion-item');
+    // only one item of the group can be open, closing the others is left to the browser
+    if (single) details.setAttribute('name', `accordion-${accordionCount}`);
+    details.append(summary, body);
+    row.replaceWith(details);
+
+    details.addEventListener('toggle', () => {
+      const hash = `#${details.id}`;
+      if (details.open) {
+        // close the other items in browsers without support for exclusive details
+        if (single) {
+          block.querySelectorAll(':scope > details[open]').forEach((other) => {
+            if (other !== details) other.open = false;
+          });
+        }
+        if (window.location.hash !== hash) window.history.replaceState(null, '', hash);
+      } else if (window.location.hash === hash) {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+      }
+    });
+  });
+
+  // deep links open their item, loadLazy then scrolls to it
+  openFromHash(block);
+  window.addEventListener('hashchange', () => openFromHash(block));
+
+  if (!block.classList.contains('no-faq')) {
+    faqs.set(block, [...block.querySelectorAll(':scope > details')].map((details) => ({
+      '@type': 'Question',
+      name: details.querySelector('summary').textContent.trim(),
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: details.querySelector('.accordion-item-body').textContent.trim(),
+      },
+    })));
+    updateFaqJsonLd();
+  }
+}
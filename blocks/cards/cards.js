@@ -1,8 +1,53 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
-import { moveInstrumentation } from '../../scripts/scripts.js';
+import {
+  createOptimizedPicture,
+  fetchPlaceholders,
+  formatPlaceholder,
+} from '../../scripts/aem.js';
+import { getLocale, isLocalePath, moveInstrumentation } from '../../scripts/scripts.js';
+import queryIndex from '../../scripts/query-index.js';
 
-export default function decorate(block) {
-  /* change to ul, li */
+// block fields rendered as single cell rows ahead of the cards, in model order
+const CONFIG_FIELDS = ['path', 'tags', 'limit'];
+
+/**
+ * Reads the block fields of automatic cards from the leading single cell rows
+ * and removes those rows.
+ * @param {Element} block The cards block
+ * @returns {Object} The block fields
+ */
+function readConfig(block) {
+  const config = {};
+  const rows = [...block.children];
+  const count = rows.findIndex((row) => row.children.length !== 1);
+  rows.slice(0, Math.min(count < 0 ? rows.length : count, CONFIG_FIELDS.length))
+    .forEach((row, i) => {
+      config[CONFIG_FIELDS[i]] = row.textContent.trim();
+      row.remove();
+    });
+  return config;
+}
+
+/**
+ * Optimizes the images of the cards.
+ * @param {Element} ul The list of cards
+ */
+function optimizeImages(ul) {
+  ul.querySelectorAll('picture > img').forEach((img) => {
+    const optimizedPic = createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }], {
+      width: img.getAttribute('width'),
+      height: img.getAttribute('height'),
+    });
+    moveInstrumentation(img, optimizedPic.querySelector('img'));
+    img.closest('picture').replaceWith(optimizedPic);
+  });
+}
+
+/**
+ * Builds cards from the authored rows.
+ * @param {Element} block The cards block
+ * @returns {Element} The list of cards
+ */
+function buildAuthoredCards(block) {
   const ul = document.createElement('ul');
   [...block.children].forEach((row) => {
     const li = document.createElement('li');
@@ -14,11 +59,125 @@ export default function decorate(block) {
     });
     ul.append(li);
   });
-  ul.querySelectorAll('picture > img').forEach((img) => {
-    const optimizedPic = createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }]);
-    moveInstrumentation(img, optimizedPic.querySelector('img'));
-    img.closest('picture').replaceWith(optimizedPic);
+  return ul;
+}
+
+/**
+ * Builds cards from the query index, for the pages below a path and/or with given tags.
+ * @param {Object} config The block fields
+ * @returns {Promise<Element>} The list of cards
+ */
+async function buildQueryCards(config) {
+  // only pages below the path, so `/blog` does not match `/blogger`
+  const path = config.path ? new URL(config.path, window.location).pathname.replace(/\/?$/, '/') : '';
+  const tags = (config.tags || '').split(',').map((tag) => tag.trim().toLowerCase()).filter((tag) => tag);
+  const limit = parseInt(config.limit, 10) || 12;
+
+  const entries = await queryIndex()
+    .filter((entry) => (path ? entry.path.startsWith(path) : isLocalePath(entry.path))
+      && entry.path !== window.location.pathname)
+    .filter((entry) => {
+      if (!tags.length) return true;
+      const entryTags = (Array.isArray(entry.tags) ? entry.tags : `${entry.tags || ''}`.split(','))
+        .map((tag) => tag.trim().toLowerCase());
+      return tags.some((tag) => entryTags.includes(tag));
+    })
+    .slice(0, limit)
+    .all();
+
+  const ul = document.createElement('ul');
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    if (entry.image && !entry.image.includes('default-meta-image')) {
+      const image = document.createElement('div');
+      image.className = 'cards-card-image';
+      image.append(createOptimizedPicture(entry.image, '', false, [{ width: '750' }]));
+      li.append(image);
+    }
+    const body = document.createElement('div');
+    body.className = 'cards-card-body';
+    const title = document.createElement('p');
+    const strong = document.createElement('strong');
+    const link = document.createElement('a');
+    link.href = entry.path;
+    link.textContent = entry.title;
+    strong.append(link);
+    title.append(strong);
+    body.append(title);
+    if (entry.description) {
+      const description = document.createElement('p');
+      description.textContent = entry.description;
+      body.append(description);
+    }
+    li.append(body);
+    ul.append(li);
   });
+  return ul;
+}
+
+/**
+ * Makes the whole card a click target for its first link. The link is stretched
+ * over the card with CSS, so no anchors get nested.
+ * @param {Element} ul The list of cards
+ */
+function decorateLinkedCards(ul) {
+  [...ul.children].forEach((li) => {
+    const link = li.querySelector('a[href]');
+    if (link) {
+      link.classList.add('cards-card-link');
+      li.classList.add('cards-card-linked');
+    }
+  });
+}
+
+/**
+ * Turns the cards into a horizontal scroll-snap carousel with prev/next controls.
+ * @param {Element} block The cards block
+ * @param {Element} ul The list of cards
+ */
+async function decorateCarousel(block, ul) {
+  const placeholders = await fetchPlaceholders(getLocale().prefix);
+  const nav = document.createElement('div');
+  nav.className = 'cards-carousel-nav';
+  const prev = document.createElement('button');
+  prev.type = 'button';
+  prev.className = 'cards-carousel-prev';
+  prev.setAttribute('aria-label', formatPlaceholder(placeholders, 'previousCards', 'Previous cards'));
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'cards-carousel-next';
+  next.setAttribute('aria-label', formatPlaceholder(placeholders, 'nextCards', 'Next cards'));
+  nav.append(prev, next);
+
+  const scroll = (direction) => {
+    const card = ul.firstElementChild;
+    const gap = parseFloat(getComputedStyle(ul).columnGap) || 0;
+    const step = card ? card.getBoundingClientRect().width + gap : ul.clientWidth;
+    ul.scrollBy({ left: direction * step });
+  };
+  const updateButtons = () => {
+    prev.disabled = ul.scrollLeft <= 0;
+    next.disabled = ul.scrollLeft + ul.clientWidth >= ul.scrollWidth - 1;
+  };
+  prev.addEventListener('click', () => scroll(-1));
+  next.addEventListener('click', () => scroll(1));
+  ul.addEventListener('scroll', updateButtons, { passive: true });
+  window.addEventListener('resize', updateButtons);
+
+  ul.setAttribute('tabindex', 0);
+  ul.setAttribute('aria-label', formatPlaceholder(placeholders, 'cards', 'Cards'));
+  block.append(nav);
+  requestAnimationFrame(updateButtons);
+}
+
+export default async function decorate(block) {
+  // authored cards may have a single cell, only automatic cards have field rows
+  const ul = block.classList.contains('auto')
+    ? await buildQueryCards(readConfig(block))
+    : buildAuthoredCards(block);
+  optimizeImages(ul);
+  if (block.classList.contains('linked')) decorateLinkedCards(ul);
   block.textContent = '';
   block.append(ul);
+  if (block.classList.contains('carousel')) await decorateCarousel(block, ul);
 }
@@ -0,0 +1,217 @@
+/*
+ * Carousel Block
+ * Show slides one at a time, with indicators, previous/next buttons and optional autoplay.
+ * https://www.aem.live/developer/block-collection/carousel
+ */
+
+import {
+  createOptimizedPicture,
+  fetchPlaceholders,
+  formatPlaceholder,
+} from '../../scripts/aem.js';
+import { getLocale, moveInstrumentation } from '../../scripts/scripts.js';
+
+const AUTOPLAY_INTERVAL = 5000;
+
+let carouselCount = 0;
+
+/**
+ * Scrolls to a slide, smoothly unless reduced motion is preferred (see the CSS).
+ * @param {Element} block The carousel block
+ * @param {number} index The index of the slide, wraps around at both ends
+ */
+function showSlide(block, index) {
+  const slides = [...block.querySelectorAll('.carousel-slide')];
+  const slide = slides[(index + slides.length) % slides.length];
+  const list = block.querySelector('.carousel-slides');
+  list.scrollTo({ left: slide.offsetLeft - list.offsetLeft, top: 0 });
+}
+
+/**
+ * Marks the visible slide as active, and makes the others inert.
+ * @param {Element} block The carousel block
+ * @param {Element} slide The visible slide
+ */
+function updateActiveSlide(block, slide) {
+  const index = parseInt(slide.dataset.slideIndex, 10);
+  block.dataset.activeSlide = index;
+  block.querySelectorAll('.carousel-slide').forEach((s, i) => {
+    s.inert = i !== index;
+  });
+  block.querySelectorAll('.carousel-slide-indicator button').forEach((button, i) => {
+    if (i === index) button.setAttribute('aria-current', 'true');
+    else button.removeAttribute('aria-current');
+  });
+}
+
+/**
+ * Advances the slides on a timer, pausing on hover, on focus, when paused by the user
+ * and when reduced motion is preferred.
+ * @param {Element} block The carousel block
+ * @param {Object} placeholders The placeholders for labels
+ */
+function setupAutoplay(block, placeholders) {
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'carousel-autoplay-toggle';
+  block.append(toggle);
+
+  let timer;
+  let hovered = false;
+  let focused = false;
+  let paused = reducedMotion.matches;
+  const update = () => {
+    clearInterval(timer);
+    toggle.setAttribute('aria-pressed', paused);
+    toggle.setAttribute('aria-label', paused
+      ? formatPlaceholder(placeholders, 'playCarousel', 'Start automatic slide show')
+      : formatPlaceholder(placeholders, 'pauseCarousel', 'Stop automatic slide show'));
+    if (!paused && !hovered && !focused) {
+      timer = setInterval(() => {
+        showSlide(block, parseInt(block.dataset.activeSlide || 0, 10) + 1);
+      }, AUTOPLAY_INTERVAL);
+    }
+  };
+
+  toggle.addEventListener('click', () => {
+    paused = !paused;
+    update();
+  });
+  block.addEventListener('mouseenter', () => {
+    hovered = true;
+    update();
+  });
+  block.addEventListener('mouseleave', () => {
+    hovered = false;
+    update();
+  });
+  block.addEventListener('focusin', (e) => {
+    // the toggle needs to be usable without pausing the slides itself
+    focused = e.target !== toggle;
+    update();
+  });
+  block.addEventListener('focusout', (e) => {
+    focused = block.contains(e.relatedTarget) && e.relatedTarget !== toggle;
+    update();
+  });
+  reducedMotion.addEventListener('change', () => {
+    paused = reducedMotion.matches;
+    update();
+  });
+  update();
+}
+
+/**
+ * Creates a slide from a block row.
+ * @param {Element} row The block row
+ * @param {number} index The index of the slide
+ * @param {string} carouselId The id of the carousel
+ * @returns {Element} The slide
+ */
+function createSlide(row, index, carouselId) {
+  const slide = document.createElement('li');
+  slide.dataset.slideIndex = index;
+  slide.id = `carousel-${carouselId}-slide-${index}`;
+  slide.className = 'carousel-slide';
+  slide.setAttribute('role', 'group');
+  slide.setAttribute('aria-roledescription', 'slide');
+  moveInstrumentation(row, slide);
+
+  [...row.children].forEach((column, colIdx) => {
+    column.classList.add(`carousel-slide-${colIdx === 0 && column.querySelector('picture') ? 'image' : 'content'}`);
+    slide.append(column);
+  });
+
+  // only the first slide is loaded right away
+  slide.querySelectorAll('picture > img').forEach((img) => {
+    const optimizedPic = createOptimizedPicture(img.src, img.alt, index === 0, [
+      { media: '(min-width: 600px)', width: '2000' },
+      { width: '750' },
+    ], {
+      width: img.getAttribute('width'),
+      height: img.getAttribute('height'),
+    });
+    moveInstrumentation(img, optimizedPic.querySelector('img'));
+    img.closest('picture').replaceWith(optimizedPic);
+  });
+  return slide;
+}
+
+export default async function decorate(block) {
+  carouselCount += 1;
+  const rows = [...block.children];
+  const isSingleSlide = rows.length < 2;
+  const placeholders = await fetchPlaceholders(getLocale().prefix);
+
+  block.setAttribute('role', 'region');
+  block.setAttribute('aria-roledescription', formatPlaceholder(placeholders, 'carousel', 'Carousel'));
+
+  const container = document.createElement('div');
+  container.className = 'carousel-slides-container';
+  const slides = document.createElement('ul');
+  slides.className = 'carousel-slides';
+  container.append(slides);
+
+  let indicators;
+  if (!isSingleSlide) {
+    const nav = document.createElement('nav');
+    nav.setAttribute('aria-label', formatPlaceholder(placeholders, 'carouselSlideControls', 'Carousel Slide Controls'));
+    indicators = document.createElement('ol');
+    indicators.className = 'carousel-slide-indicators';
+    nav.append(indicators);
+    block.append(nav);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'carousel-navigation-buttons';
+    [
+      ['slide-prev', formatPlaceholder(placeholders, 'previousSlide', 'Previous Slide'), -1],
+      ['slide-next', formatPlaceholder(placeholders, 'nextSlide', 'Next Slide'), 1],
+    ].forEach(([className, label, step]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.setAttribute('aria-label', label);
+      button.addEventListener('click', () => {
+        showSlide(block, parseInt(block.dataset.activeSlide || 0, 10) + step);
+      });
+      buttons.append(button);
+    });
+    container.append(buttons);
+  }
+
+  rows.forEach((row, idx) => {
+    const slide = createSlide(row, idx, carouselCount);
+    const values = { index: idx + 1, count: rows.length };
+    slide.setAttribute('aria-label', formatPlaceholder(placeholders, 'slideLabel', '{index} of {count}', values));
+    slides.append(slide);
+    // show the slide when content in it gets selected in the editor
+    slide.addEventListener('editor:select', () => showSlide(block, idx));
+
+    if (indicators) {
+      const indicator = document.createElement('li');
+      indicator.className = 'carousel-slide-indicator';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('aria-controls', slide.id);
+      button.setAttribute('aria-label', formatPlaceholder(placeholders, 'showSlide', 'Show Slide {index} of {count}', values));
+      button.addEventListener('click', () => showSlide(block, idx));
+      indicator.append(button);
+      indicators.append(indicator);
+    }
+    row.remove();
+  });
+
+  block.prepend(container);
+  if (isSingleSlide) return;
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) updateActiveSlide(block, entry.target);
+    });
+  }, { root: slides, threshold: 0.5 });
+  slides.querySelectorAll('.carousel-slide').forEach((slide) => observer.observe(slide));
+  updateActiveSlide(block, slides.firstElementChild);
+
+  if (block.classList.contains('autoplay')) setupAutoplay(block, placeholders);
+}
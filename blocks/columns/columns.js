@@ -1,17 +1,45 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { moveInstrumentation } from '../../scripts/scripts.js';
+
+/**
+ * Returns the column ratio set as block option, eg. `33-67` or `25-50-25`.
+ * @param {Element} block The columns block
+ * @returns {number[]|null} The relative widths of the columns, if a ratio is set
+ */
+function getRatio(block) {
+  const ratio = [...block.classList].find((c) => /^\d+(-\d+)+$/.test(c));
+  return ratio ? ratio.split('-').map((n) => parseInt(n, 10)) : null;
+}
+
 export default function decorate(block) {
   const cols = [...block.firstElementChild.children];
   block.classList.add(`columns-${cols.length}-cols`);
 
+  // apply the ratio if it matches the number of columns, otherwise keep them equal
+  const ratio = getRatio(block);
+  if (ratio && ratio.length !== cols.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`columns ratio ${ratio.join('-')} does not match ${cols.length} columns`);
+  }
+
   // setup image columns
   [...block.children].forEach((row) => {
-    [...row.children].forEach((col) => {
+    [...row.children].forEach((col, i) => {
+      if (ratio && ratio.length === cols.length) col.style.setProperty('--column-flex', ratio[i]);
       const pic = col.querySelector('picture');
-      if (pic) {
+      const img = pic && pic.querySelector('img');
+      if (img) {
         const picWrapper = pic.closest('div');
         if (picWrapper && picWrapper.children.length === 1) {
           // picture is only content in column
           picWrapper.classList.add('columns-img-col');
         }
+        const optimizedPic = createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }], {
+          width: img.getAttribute('width'),
+          height: img.getAttribute('height'),
+        });
+        moveInstrumentation(img, optimizedPic.querySelector('img'));
+        pic.replaceWith(optimizedPic);
       }
     });
   });
@@ -0,0 +1,135 @@
+/*
+ * Embed Block
+ * Show third party content, like videos, posts and maps, behind a lightweight facade.
+ * The provider is only contacted on interaction, or near the viewport with consent.
+ */
+
+import {
+  createOptimizedPicture,
+  fetchPlaceholders,
+  formatPlaceholder,
+} from '../../scripts/aem.js';
+import { getLocale, moveInstrumentation } from '../../scripts/scripts.js';
+import { getEmbedProvider, hasConsent } from '../../scripts/embeds.js';
+
+// distance to the viewport at which embeds are loaded
+const LOAD_MARGIN = '200px';
+
+/**
+ * Replaces the facade with the iframe of the provider.
+ * @param {Element} block The embed block
+ * @param {Object} provider The provider
+ * @param {URL} url The URL of the embedded content
+ * @param {string} title The title of the embedded content
+ * @param {boolean} [interacted] Whether the visitor asked for the content
+ */
+function loadEmbed(block, provider, url, title, interacted = false) {
+  const facade = block.querySelector('.embed-facade');
+  if (!facade) return;
+  const iframe = document.createElement('iframe');
+  iframe.src = provider.src(url, { autoplay: interacted });
+  iframe.title = title;
+  iframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
+  iframe.setAttribute('allowfullscreen', '');
+  facade.replaceWith(iframe);
+  if (interacted) iframe.focus();
+}
+
+/**
+ * Adds the poster image of the provider, if there is none authored.
+ * @param {Element} facade The facade
+ * @param {Object} provider The provider
+ * @param {URL} url The URL of the embedded content
+ */
+async function loadProviderPoster(facade, provider, url) {
+  if (!provider.poster || facade.querySelector('img')) return;
+  try {
+    const src = await provider.poster(url);
+    if (!src) return;
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = '';
+    img.loading = 'lazy';
+    facade.prepend(img);
+  } catch (error) {
+    // no poster then
+  }
+}
+
+/**
+ * Shows a link to content no provider can embed, instead of the embed.
+ * @param {Element} block The embed block
+ * @param {Element} [link] The authored link
+ * @param {string} href The URL of the content
+ */
+function renderLink(block, link, href) {
+  const a = link || document.createElement('a');
+  if (!link) {
+    a.href = href;
+    a.textContent = href;
+  }
+  const p = document.createElement('p');
+  p.append(a);
+  block.classList.add('embed-link');
+  block.replaceChildren(p);
+}
+
+export default async function decorate(block) {
+  const link = block.querySelector('a[href]');
+  const href = link ? link.href : block.textContent.trim();
+  const provider = getEmbedProvider(href);
+  if (!provider) {
+    if (href) renderLink(block, link, href);
+    return;
+  }
+  const url = new URL(href, window.location.href);
+  const placeholders = await fetchPlaceholders(getLocale().prefix);
+
+  const text = link ? link.textContent.trim() : '';
+  const title = text && text !== link.href ? text : provider.name;
+
+  const facade = document.createElement('div');
+  facade.className = 'embed-facade';
+  const picture = block.querySelector('picture');
+  const img = picture && picture.querySelector('img');
+  if (img) {
+    const optimizedPic = createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }], {
+      width: img.getAttribute('width'),
+      height: img.getAttribute('height'),
+    });
+    moveInstrumentation(img, optimizedPic.querySelector('img'));
+    facade.append(optimizedPic);
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'embed-play';
+  button.setAttribute('aria-label', provider.clickToLoad
+    ? formatPlaceholder(placeholders, 'embedPlay', 'Play {title}', { title })
+    : formatPlaceholder(placeholders, 'embedShow', 'Show {title}', { title }));
+  facade.append(button);
+  // the whole poster starts the embed, the button makes it reachable by keyboard
+  facade.addEventListener('click', () => loadEmbed(block, provider, url, title, true));
+
+  if (!hasConsent(provider)) {
+    const { hostname } = new URL(provider.src(url));
+    const note = document.createElement('p');
+    note.className = 'embed-consent';
+    note.textContent = formatPlaceholder(placeholders, 'embedConsent', 'Loading this content connects to {host}.', { host: hostname });
+    facade.append(note);
+  }
+
+  block.style.setProperty('--embed-aspect-ratio', provider.aspectRatio);
+  block.classList.add(`embed-${provider.name}`);
+  block.replaceChildren(facade);
+
+  // with consent, posters and content that needs no click are loaded near the viewport
+  const observer = new IntersectionObserver((entries) => {
+    if (!entries.some((entry) => entry.isIntersecting)) return;
+    observer.disconnect();
+    if (!hasConsent(provider)) return;
+    if (provider.clickToLoad) loadProviderPoster(facade, provider, url);
+    else loadEmbed(block, provider, url, title);
+  }, { rootMargin: LOAD_MARGIN });
+  observer.observe(block);
+}
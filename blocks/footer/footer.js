@@ -1,20 +1,249 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  decorateIcon,
+  fetchPlaceholders,
+  formatPlaceholder,
+  getMetadata,
+} from '../../scripts/aem.js';
+import { getLocale, getLocaleVariants } from '../../scripts/scripts.js';
+import queryIndex from '../../scripts/query-index.js';
 import { loadFragment } from '../fragment/fragment.js';
 
+// media query match that indicates mobile/tablet width
+const isDesktop = window.matchMedia('(min-width: 900px)');
+
+// social networks, by the host name of their links
+const SOCIAL_NETWORKS = {
+  'facebook.com': 'facebook',
+  'instagram.com': 'instagram',
+  'linkedin.com': 'linkedin',
+  'twitter.com': 'x',
+  'x.com': 'x',
+  'youtube.com': 'youtube',
+};
+
+// translated UI strings, loaded when the footer is decorated
+let placeholders = {};
+
+/**
+ * Returns the social network a link points to.
+ * @param {Element} a The link
+ * @returns {string|undefined} The network name, if the link points to one
+ */
+function getSocialNetwork(a) {
+  const { hostname } = new URL(a.href, window.location);
+  const host = Object.keys(SOCIAL_NETWORKS)
+    .find((h) => hostname === h || hostname.endsWith(`.${h}`));
+  return host && SOCIAL_NETWORKS[host];
+}
+
+/**
+ * Determines the role of a footer section, from its `links`, `social` or `legal` style,
+ * or else from its content.
+ * @param {Element} section The section element
+ * @returns {string} The role of the section
+ */
+function getSectionType(section) {
+  const type = ['links', 'social', 'legal'].find((t) => section.classList.contains(t));
+  if (type) return type;
+  const links = [...section.querySelectorAll('a[href]')];
+  if (links.length && links.every((a) => getSocialNetwork(a))) return 'social';
+  if (section.querySelector('h2, h3, h4, h5, h6') && section.querySelector('ul')) return 'links';
+  return 'legal';
+}
+
+/**
+ * Groups headings and the lists following them into link columns.
+ * @param {Element} section The links section
+ * @returns {Element[]} The columns
+ */
+function buildColumns(section) {
+  const wrapper = section.querySelector('.default-content-wrapper') || section;
+  const columns = [];
+  [...wrapper.children].forEach((el) => {
+    if (/^H[2-6]$/.test(el.tagName) || !columns.length) {
+      const column = document.createElement('div');
+      column.className = 'footer-column';
+      columns.push(column);
+    }
+    columns[columns.length - 1].append(el);
+  });
+  wrapper.replaceChildren(...columns);
+  return columns;
+}
+
+/**
+ * Makes link columns collapsible groups on mobile, with their heading toggling
+ * their links, and shows them expanded on desktop.
+ * @param {Element[]} columns The link columns
+ * @param {boolean} collapsible Whether the columns should be collapsible
+ */
+function toggleCollapsibleColumns(columns, collapsible) {
+  columns.forEach((column, i) => {
+    const heading = column.querySelector(':scope > h2, :scope > h3, :scope > h4, :scope > h5, :scope > h6');
+    const list = column.querySelector(':scope > ul');
+    if (!heading || !list) return;
+    list.id = list.id || `footer-column-${i}`;
+    const button = heading.querySelector('button');
+    if (collapsible && !button) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', list.id);
+      toggle.append(...heading.childNodes);
+      toggle.addEventListener('click', () => {
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+        toggle.setAttribute('aria-expanded', !expanded);
+        list.hidden = expanded;
+      });
+      heading.append(toggle);
+      list.hidden = true;
+    } else if (!collapsible && button) {
+      heading.replaceChildren(...button.childNodes);
+      list.hidden = false;
+    }
+  });
+}
+
+/**
+ * Turns social links into icon links, labelled with the network or their text.
+ * @param {Element} section The social section
+ */
+function decorateSocialLinks(section) {
+  section.querySelectorAll('a[href]').forEach((a) => {
+    const network = getSocialNetwork(a);
+    a.classList.remove('button');
+    a.closest('.button-container')?.classList.remove('button-container');
+    a.setAttribute('aria-label', a.textContent.trim() || network);
+    if (network && !a.querySelector('.icon')) {
+      const icon = document.createElement('span');
+      icon.className = `icon icon-${network}`;
+      a.replaceChildren(icon);
+      decorateIcon(icon);
+    }
+  });
+}
+
+/**
+ * Builds a switcher linking to the current page in the other locales it is available in.
+ * @returns {Promise<Element|null>} The switcher, or null if there are no other locales
+ */
+async function buildLanguageSwitcher() {
+  const { code } = getLocale();
+  const variants = getLocaleVariants();
+  let available = [];
+  try {
+    const paths = variants.map(({ path }) => path);
+    available = (await queryIndex()
+      .filter((entry) => paths.includes(entry.path))
+      .slice(0, paths.length)
+      .all())
+      .map((entry) => entry.path);
+  } catch (error) {
+    // index not available, only the current locale is known to exist
+  }
+  const locales = variants.filter((v) => v.code === code || available.includes(v.path));
+  if (locales.length < 2) return null;
+
+  const switcher = document.createElement('nav');
+  switcher.className = 'footer-language';
+  switcher.setAttribute('aria-label', formatPlaceholder(placeholders, 'language', 'Language'));
+  const current = locales.find((v) => v.code === code);
+  const getName = ({ lang }) => {
+    try {
+      return new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+    } catch (error) {
+      return lang;
+    }
+  };
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'footer-language-toggle';
+  toggle.textContent = getName(current);
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'footer-language-list');
+  const list = document.createElement('ul');
+  list.id = 'footer-language-list';
+  list.hidden = true;
+  locales.forEach((variant) => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = `${variant.path}${window.location.search}`;
+    a.lang = variant.lang;
+    a.hreflang = variant.lang;
+    a.textContent = getName(variant);
+    if (variant === current) a.setAttribute('aria-current', 'true');
+    li.append(a);
+    list.append(li);
+  });
+  toggle.addEventListener('click', () => {
+    const expanded = toggle.getAttribute('aria-expanded') === 'true';
+    toggle.setAttribute('aria-expanded', !expanded);
+    list.hidden = expanded;
+  });
+  switcher.append(toggle, list);
+  return switcher;
+}
+
+/**
+ * Builds a control that scrolls back to the top of the page.
+ * @returns {Element} The back-to-top button
+ */
+function buildBackToTop() {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'footer-back-to-top';
+  button.textContent = formatPlaceholder(placeholders, 'backToTop', 'Back to top');
+  button.addEventListener('click', () => {
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    window.scrollTo({ top: 0, behavior: reducedMotion ? 'auto' : 'smooth' });
+    document.querySelector('header a[href], header button')?.focus({ preventScroll: true });
+  });
+  return button;
+}
+
 /**
  * loads and decorates the footer
  * @param {Element} block The footer block element
  */
 export default async function decorate(block) {
-  // load footer as fragment
+  // load footer as fragment, the variant of the page locale is preferred if there is one
   const footerMeta = getMetadata('footer');
   const footerPath = footerMeta ? new URL(footerMeta, window.location).pathname : '/footer';
-  const fragment = await loadFragment(footerPath);
+  const [fragment, localePlaceholders] = await Promise.all([
+    loadFragment(footerPath),
+    fetchPlaceholders(getLocale().prefix),
+  ]);
+  placeholders = localePlaceholders;
 
   // decorate footer DOM
   block.textContent = '';
   const footer = document.createElement('div');
   while (fragment.firstElementChild) footer.append(fragment.firstElementChild);
 
+  const columns = [];
+  let legal;
+  footer.querySelectorAll(':scope > .section').forEach((section) => {
+    const type = getSectionType(section);
+    section.classList.add(`footer-${type}`);
+    if (type === 'links') columns.push(...buildColumns(section));
+    if (type === 'social') decorateSocialLinks(section);
+    if (type === 'legal') legal = section;
+  });
+  toggleCollapsibleColumns(columns, !isDesktop.matches);
+  isDesktop.addEventListener('change', () => toggleCollapsibleColumns(columns, !isDesktop.matches));
+
+  const backToTop = buildBackToTop();
+  footer.append(backToTop);
   block.append(footer);
+
+  // the switcher needs the query index, show the footer without waiting for it
+  buildLanguageSwitcher().then((switcher) => {
+    if (!switcher) return;
+    if (legal) legal.append(switcher);
+    else backToTop.before(switcher);
+  }).catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error('failed to build the language switcher', error);
+  });
 }
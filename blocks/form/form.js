@@ -0,0 +1,448 @@
+/*
+ * Form Block
+ * Render a form from a JSON sheet of fields, and post the entered data.
+ *
+ * The sheet has a row per field, with the columns Name, Type, Label, Placeholder, Value,
+ * Options, Mandatory, Min, Max, Pattern, Message, Help and Condition.
+ * Conditions show a field only if another field has a value: `country=de`,
+ * `country!=de`, or just `newsletter` for any value.
+ *
+ * The data is posted as `{ data }` to the action of the block, or to the sheet itself.
+ * The `form-endpoint` metadata overrides the endpoint of all forms on a page,
+ * eg. to post to a local stub while testing.
+ */
+
+import {
+  fetchPlaceholders,
+  formatPlaceholder,
+  getMetadata,
+  readBlockConfig,
+  toCamelCase,
+  toClassName,
+} from '../../scripts/aem.js';
+import { getLocale } from '../../scripts/scripts.js';
+import queryIndex from '../../scripts/query-index.js';
+import { loadFragment } from '../fragment/fragment.js';
+
+// name of the field that is hidden from people, bots filling it in are ignored
+const HONEYPOT = 'homepage';
+const INPUT_TYPES = ['text', 'email', 'tel', 'url', 'number', 'date', 'password', 'hidden'];
+
+let formCount = 0;
+
+/**
+ * Reads the block fields, from key/value rows or from single cell rows in model order.
+ * @param {Element} block The form block
+ * @returns {Object} The source, action, success and error paths
+ */
+function readConfig(block) {
+  const rows = [...block.children];
+  if (rows.some((row) => row.children.length > 1)) {
+    const config = readBlockConfig(block);
+    return {
+      source: config.source || config.form,
+      action: config.action,
+      success: config.success,
+      error: config.error,
+    };
+  }
+  const [source, action, success, error] = rows.map((row) => {
+    const a = row.querySelector('a');
+    return a ? a.href : row.textContent.trim();
+  });
+  return {
+    source, action, success, error,
+  };
+}
+
+/**
+ * Returns the path of a link, for links to pages of the site.
+ * @param {string} href The link
+ * @returns {string} The path
+ */
+function toPath(href) {
+  return href ? new URL(href, window.location).pathname : '';
+}
+
+/**
+ * Parses a visibility condition.
+ * @param {string} condition The condition, eg. `country=de`
+ * @returns {Object|null} The field name, the operator and the expected value
+ */
+function parseCondition(condition) {
+  const match = condition.match(/^([^!=]+?)\s*(?:(!=|=)\s*(.*))?$/);
+  if (!match) return null;
+  return { name: match[1], operator: match[2] || '', value: (match[3] || '').trim() };
+}
+
+/**
+ * Returns the values of a field in a form.
+ * @param {HTMLFormElement} form The form
+ * @param {string} name The name of the field
+ * @returns {string[]} The values, empty if nothing is entered or checked
+ */
+function getValues(form, name) {
+  return [...form.elements]
+    .filter((el) => el.name === name && !el.disabled)
+    .filter((el) => !['checkbox', 'radio'].includes(el.type) || el.checked)
+    .map((el) => el.value)
+    .filter((value) => value !== '');
+}
+
+/**
+ * Creates the label, help and message elements around a control.
+ * @param {Object} field The field definition
+ * @param {string} id The id of the control
+ * @param {Element} control The control, or the group of controls
+ * @returns {Element} The field wrapper
+ */
+function wrapField(field, id, control) {
+  const wrapper = document.createElement('div');
+  wrapper.className = `form-field form-field-${field.type}`;
+  wrapper.dataset.fieldName = field.name;
+  if (field.condition) wrapper.dataset.condition = field.condition;
+
+  if (control.tagName === 'FIELDSET') {
+    wrapper.append(control);
+  } else {
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.label || field.name;
+    wrapper.append(label, control);
+  }
+  if (field.mandatory) wrapper.classList.add('form-field-mandatory');
+
+  const describedBy = [];
+  if (field.help) {
+    const help = document.createElement('p');
+    help.className = 'form-field-help';
+    help.id = `${id}-help`;
+    help.textContent = field.help;
+    wrapper.append(help);
+    describedBy.push(help.id);
+  }
+  const message = document.createElement('p');
+  message.className = 'form-field-message';
+  message.id = `${id}-message`;
+  message.hidden = true;
+  wrapper.append(message);
+  describedBy.push(message.id);
+
+  const inputs = control.matches('input, select, textarea') ? [control] : [...control.querySelectorAll('input')];
+  inputs.forEach((input) => input.setAttribute('aria-describedby', describedBy.join(' ')));
+  return wrapper;
+}
+
+/**
+ * Creates a group of checkboxes or radio buttons.
+ * @param {Object} field The field definition
+ * @param {string} id The id of the group
+ * @returns {Element} The fieldset
+ */
+function createChoiceGroup(field, id) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.id = id;
+  const legend = document.createElement('legend');
+  legend.textContent = field.label || field.name;
+  fieldset.append(legend);
+  const values = field.value.split(',').map((v) => v.trim());
+  field.options.forEach((option, i) => {
+    const input = document.createElement('input');
+    input.type = field.type;
+    input.name = field.name;
+    input.id = `${id}-${i}`;
+    input.value = option;
+    input.checked = values.includes(option);
+    // radio groups can be required natively, checkbox groups are validated on submit
+    if (field.mandatory && field.type === 'radio') input.required = true;
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = option;
+    const choice = document.createElement('div');
+    choice.className = 'form-choice';
+    choice.append(input, label);
+    fieldset.append(choice);
+  });
+  return fieldset;
+}
+
+/**
+ * Creates a field from its definition.
+ * @param {Object} field The field definition
+ * @param {string} formId The id of the form
+ * @returns {Element|null} The field, or null for unknown types
+ */
+function createField(field, formId) {
+  const id = `${formId}-${toClassName(field.name) || 'field'}`;
+
+  if (field.type === 'heading') {
+    const heading = document.createElement('h3');
+    heading.className = 'form-heading';
+    heading.textContent = field.label;
+    return heading;
+  }
+  if (field.type === 'plaintext') {
+    const text = document.createElement('p');
+    text.className = 'form-text';
+    text.textContent = field.label;
+    return text;
+  }
+  if (['radio', 'checkbox'].includes(field.type) && field.options.length) {
+    return wrapField(field, id, createChoiceGroup(field, id));
+  }
+
+  let control;
+  if (field.type === 'select') {
+    control = document.createElement('select');
+    const empty = document.createElement('option');
+    empty.value = '';
+    empty.textContent = field.placeholder;
+    control.append(empty);
+    field.options.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = value === field.value;
+      control.append(option);
+    });
+  } else if (field.type === 'textarea') {
+    control = document.createElement('textarea');
+    control.value = field.value;
+  } else if (field.type === 'checkbox') {
+    control = document.createElement('input');
+    control.type = 'checkbox';
+    control.value = field.value || 'true';
+  } else if (INPUT_TYPES.includes(field.type)) {
+    control = document.createElement('input');
+    control.type = field.type;
+    control.value = field.value;
+  } else {
+    // eslint-disable-next-line no-console
+    console.warn(`unknown form field type ${field.type}`);
+    return null;
+  }
+
+  control.id = id;
+  control.name = field.name;
+  if (field.placeholder && control.tagName !== 'SELECT') control.placeholder = field.placeholder;
+  if (field.mandatory) control.required = true;
+  if (field.pattern) control.pattern = field.pattern;
+  if (field.min) control[['number', 'date'].includes(field.type) ? 'min' : 'minLength'] = field.min;
+  if (field.max) control[['number', 'date'].includes(field.type) ? 'max' : 'maxLength'] = field.max;
+  if (field.type === 'email') control.autocomplete = 'email';
+  if (field.type === 'hidden') return control;
+  return wrapField(field, id, control);
+}
+
+/**
+ * Shows or clears the validation message of a field.
+ * @param {Element} wrapper The field wrapper
+ * @param {Object} placeholders The placeholders for messages
+ * @returns {boolean} Whether the field is valid
+ */
+function validateField(wrapper, placeholders) {
+  const inputs = [...wrapper.querySelectorAll('input, select, textarea')];
+  const message = wrapper.querySelector('.form-field-message');
+  if (!inputs.length || !message) return true;
+
+  // checkbox groups need at least one checked box when mandatory
+  const group = wrapper.querySelector('fieldset');
+  if (group && inputs[0].type === 'checkbox' && wrapper.classList.contains('form-field-mandatory')) {
+    const checked = inputs.some((input) => input.checked);
+    inputs[0].setCustomValidity(checked ? '' : formatPlaceholder(placeholders, 'formChooseOne', 'Please choose at least one option.'));
+  }
+
+  const invalid = inputs.find((input) => !input.disabled && !input.checkValidity());
+  inputs.forEach((input) => input.setAttribute('aria-invalid', !!invalid));
+  message.hidden = !invalid;
+  message.textContent = invalid ? (wrapper.dataset.message || invalid.validationMessage) : '';
+  return !invalid;
+}
+
+/**
+ * Shows the fields whose condition is met, and hides and disables the others,
+ * so they are neither validated nor submitted.
+ * @param {HTMLFormElement} form The form
+ */
+function applyConditions(form) {
+  form.querySelectorAll('[data-condition]').forEach((wrapper) => {
+    const condition = parseCondition(wrapper.dataset.condition);
+    if (!condition) return;
+    const values = getValues(form, condition.name);
+    let visible = values.length > 0;
+    if (condition.operator === '=') visible = values.includes(condition.value);
+    if (condition.operator === '!=') visible = !values.includes(condition.value);
+    wrapper.hidden = !visible;
+    wrapper.querySelectorAll('input, select, textarea').forEach((input) => {
+      input.disabled = !visible;
+    });
+  });
+}
+
+/**
+ * Collects the entered data of a form.
+ * @param {HTMLFormElement} form The form
+ * @returns {Object} The data, with the values of multiple choices joined by commas
+ */
+function getFormData(form) {
+  const data = {};
+  [...form.elements]
+    .filter((el) => el.name && el.name !== HONEYPOT && !el.disabled)
+    .forEach((el) => {
+      if (['checkbox', 'radio'].includes(el.type) && !el.checked) {
+        if (el.type === 'checkbox' && !(el.name in data)) data[el.name] = '';
+        return;
+      }
+      data[el.name] = data[el.name] ? `${data[el.name]}, ${el.value}` : el.value;
+    });
+  return data;
+}
+
+/**
+ * Posts the data of a form.
+ * @param {string} endpoint The URL to post to
+ * @param {Object} data The entered data
+ * @returns {Promise<Response>} The response, if it is ok
+ */
+export async function submitForm(endpoint, data) {
+  const resp = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data }),
+  });
+  if (!resp.ok) throw new Error(`failed to submit form to ${endpoint}: ${resp.status}`);
+  return resp;
+}
+
+/**
+ * Shows the content of a fragment, or a default message.
+ * @param {string} path The path to the fragment
+ * @param {string} text The default message
+ * @param {string} className The class of the message
+ * @returns {Promise<Element>} The message
+ */
+async function createMessage(path, text, className) {
+  const message = document.createElement('div');
+  message.className = className;
+  message.setAttribute('role', className === 'form-error' ? 'alert' : 'status');
+  message.tabIndex = -1;
+  const fragment = path ? await loadFragment(path).catch(() => null) : null;
+  const section = fragment && fragment.querySelector(':scope .section');
+  if (section) {
+    message.append(...section.childNodes);
+  } else {
+    const p = document.createElement('p');
+    p.textContent = text;
+    message.append(p);
+  }
+  return message;
+}
+
+export default async function decorate(block) {
+  formCount += 1;
+  const config = readConfig(block);
+  if (!config.source) return;
+  const source = toPath(config.source).replace(/(\.json)?$/, '.json');
+  const [placeholders, rows] = await Promise.all([
+    fetchPlaceholders(getLocale().prefix),
+    queryIndex(source).all(),
+  ]);
+
+  const form = document.createElement('form');
+  form.noValidate = true;
+  form.id = `form-${formCount}`;
+  const fields = rows.map((row) => {
+    const field = Object.fromEntries(Object.entries(row)
+      .map(([key, value]) => [toCamelCase(key), `${value ?? ''}`.trim()]));
+    return {
+      ...field,
+      type: (field.type || 'text').toLowerCase(),
+      options: (field.options || '').split(',').map((o) => o.trim()).filter((o) => o),
+      mandatory: ['true', 'x', 'yes'].includes((field.mandatory || '').toLowerCase()),
+      value: field.value || '',
+      placeholder: field.placeholder || '',
+    };
+  });
+
+  let submitLabel = formatPlaceholder(placeholders, 'formSubmit', 'Submit');
+  fields.forEach((field) => {
+    if (field.type === 'submit') {
+      submitLabel = field.label || submitLabel;
+      return;
+    }
+    if (!field.name && !['heading', 'plaintext'].includes(field.type)) return;
+    const el = createField(field, form.id);
+    if (!el) return;
+    if (field.message) el.dataset.message = field.message;
+    form.append(el);
+  });
+
+  // people do not see this field, bots filling it in get a fake success
+  const honeypot = document.createElement('div');
+  honeypot.className = 'form-honeypot';
+  honeypot.setAttribute('aria-hidden', 'true');
+  const trap = document.createElement('input');
+  trap.type = 'text';
+  trap.name = HONEYPOT;
+  trap.tabIndex = -1;
+  trap.autocomplete = 'off';
+  honeypot.append(trap);
+  form.append(honeypot);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'button';
+  submit.textContent = submitLabel;
+  form.append(submit);
+
+  applyConditions(form);
+  form.addEventListener('change', () => applyConditions(form));
+  form.addEventListener('input', () => applyConditions(form));
+  // validate fields once they are left, and again on every change after that
+  form.addEventListener('focusout', (e) => {
+    const wrapper = e.target.closest('.form-field');
+    if (wrapper && e.target.value) {
+      wrapper.dataset.touched = 'true';
+      validateField(wrapper, placeholders);
+    }
+  });
+  form.addEventListener('input', (e) => {
+    const wrapper = e.target.closest('.form-field');
+    if (wrapper && wrapper.dataset.touched) validateField(wrapper, placeholders);
+  });
+
+  const endpoint = getMetadata('form-endpoint') || config.action || source;
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const wrappers = [...form.querySelectorAll('.form-field:not([hidden])')];
+    const invalid = wrappers.filter((wrapper) => {
+      wrapper.dataset.touched = 'true';
+      return !validateField(wrapper, placeholders);
+    });
+    if (invalid.length) {
+      invalid[0].querySelector('[aria-invalid="true"]').focus();
+      return;
+    }
+
+    block.querySelector('.form-error')?.remove();
+    submit.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    try {
+      if (!trap.value) await submitForm(endpoint, getFormData(form));
+      const success = await createMessage(toPath(config.success), formatPlaceholder(placeholders, 'formSuccess', 'Thank you, your submission has been received.'), 'form-success');
+      form.replaceWith(success);
+      success.focus();
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+      const message = await createMessage(toPath(config.error), formatPlaceholder(placeholders, 'formError', 'Sorry, your submission failed. Please try again.'), 'form-error');
+      form.before(message);
+      message.focus();
+      submit.disabled = false;
+    } finally {
+      form.removeAttribute('aria-busy');
+    }
+  });
+
+  block.replaceChildren(form);
+}
@@ -1,40 +1,125 @@
 /*
  * Fragment Block
- * Include content on a page as a fragment.
+ * Include content on a page as a fragment, optionally picked by audience.
  * https://www.aem.live/developer/block-collection/fragment
  */
 
 import {
   decorateMain,
+  localizePath,
 } from '../../scripts/scripts.js';
 
 import {
   loadSections,
+  sampleRUM,
 } from '../../scripts/aem.js';
+import { matchesAudience } from '../../scripts/audiences.js';
+
+// distance ahead of the viewport at which lazy fragments are fetched
+const PREFETCH_MARGIN = '0px 0px 100% 0px';
+
+// fetched fragments by their normalized path, parsed but not decorated
+const fragments = new Map();
+
+// paths of the fragments each fragment was included through, by its main element
+const includeChains = new WeakMap();
 
 /**
- * Loads a fragment.
+ * Normalizes the path of a fragment, so each fragment is cached once.
  * @param {string} path The path to the fragment
- * @returns {HTMLElement} The root element of the fragment
+ * @returns {string} The normalized path
  */
-export async function loadFragment(path) {
-  if (path && path.startsWith('/')) {
-    // eslint-disable-next-line no-param-reassign
-    path = path.replace(/(\.plain)?\.html/, '');
-    const resp = await fetch(`${path}.plain.html`);
-    if (resp.ok) {
+function normalizePath(path) {
+  const { pathname } = new URL(path, window.location);
+  return pathname.replace(/(\.plain)?\.html$/, '').replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Fetches the plain HTML of a fragment, preferring the variant for the page locale
+ * and falling back to the path as given.
+ * @param {string} path The path to the fragment
+ * @returns {Promise<{path: string, resp: Response}>} The resolved path and response
+ */
+async function fetchFragment(path) {
+  const localizedPath = localizePath(path);
+  if (localizedPath !== path) {
+    const resp = await fetch(`${localizedPath}.plain.html`);
+    if (resp.ok) return { path: localizedPath, resp };
+  }
+  return { path, resp: await fetch(`${path}.plain.html`) };
+}
+
+/**
+ * Fetches and parses a fragment once per page view.
+ * @param {string} path The normalized path to the fragment
+ * @returns {Promise<HTMLElement|null>} The undecorated main element of the fragment
+ */
+function fetchFragmentMain(path) {
+  if (!fragments.has(path)) {
+    fragments.set(path, (async () => {
+      const { path: fragmentPath, resp } = await fetchFragment(path);
+      if (!resp.ok) {
+        fragments.delete(path);
+        return null;
+      }
       const main = document.createElement('main');
       main.innerHTML = await resp.text();
 
       // reset base path for media to fragment base
+      const base = new URL(fragmentPath, window.location);
       const resetAttributeBase = (tag, attr) => {
         main.querySelectorAll(`${tag}[${attr}^="./media_"]`).forEach((elem) => {
-          elem[attr] = new URL(elem.getAttribute(attr), new URL(path, window.location)).href;
+          elem[attr] = new URL(elem.getAttribute(attr), base).href;
         });
       };
       resetAttributeBase('img', 'src');
       resetAttributeBase('source', 'srcset');
+      return main;
+    })());
+    // do not keep failed or missing requests, so they are retried on the next use
+    fragments.get(path).catch(() => fragments.delete(path));
+  }
+  return fragments.get(path);
+}
+
+/**
+ * Returns the paths a block is included through, starting with the page.
+ * @param {Element} element An element of the page or of a fragment
+ * @returns {string[]} The normalized paths
+ */
+function getIncludeChain(element) {
+  return includeChains.get(element.closest('main'))
+    || [normalizePath(window.location.pathname)];
+}
 
+/**
+ * Fetches a fragment ahead of time, so loading it later needs no request.
+ * @param {string} path The path to the fragment
+ * @returns {Promise} Resolves when the fragment is fetched
+ */
+export async function prefetchFragment(path) {
+  if (path && path.startsWith('/')) await fetchFragmentMain(normalizePath(path));
+}
+
+/**
+ * Loads a fragment.
+ * Every use gets its own copy to decorate, as block decorations cannot be cloned.
+ * @param {string} path The path to the fragment
+ * @param {string[]} [includedFrom] The paths the fragment is included through
+ * @returns {HTMLElement} The root element of the fragment
+ */
+export async function loadFragment(path, includedFrom = []) {
+  if (path && path.startsWith('/')) {
+    const fragmentPath = normalizePath(path);
+    if (includedFrom.includes(fragmentPath)) {
+      const error = new Error(`fragment ${fragmentPath} includes itself`);
+      error.includeChain = [...includedFrom, fragmentPath];
+      throw error;
+    }
+    const fragment = await fetchFragmentMain(fragmentPath);
+    if (fragment) {
+      const main = fragment.cloneNode(true);
+      includeChains.set(main, [...includedFrom, fragmentPath]);
       decorateMain(main);
       await loadSections(main);
       return main;
@@ -43,10 +128,12 @@ export async function loadFragment(path) {
   return null;
 }
 
-export default async function decorate(block) {
-  const link = block.querySelector('a');
-  const path = link ? link.getAttribute('href') : block.textContent.trim();
-  const fragment = await loadFragment(path);
+/**
+ * Replaces the content of a fragment block with the content of the fragment.
+ * @param {Element} block The fragment block
+ * @param {HTMLElement} fragment The root element of the fragment
+ */
+function renderFragment(block, fragment) {
   if (fragment) {
     const fragmentSection = fragment.querySelector(':scope .section');
     if (fragmentSection) {
@@ -56,3 +143,85 @@ export default async function decorate(block) {
     }
   }
 }
+
+/**
+ * Shows authors which fragments include each other, instead of the fragment.
+ * @param {Element} block The fragment block
+ * @param {Error} error The error that made the block fail
+ */
+export function fallback(block, error) {
+  if (!error.includeChain) {
+    block.replaceChildren();
+    return;
+  }
+  const warning = document.createElement('p');
+  warning.className = 'fragment-warning';
+  warning.setAttribute('role', 'note');
+  warning.textContent = `Fragment not included, it would include itself: ${error.includeChain.join(' → ')}`;
+  block.replaceChildren(warning);
+}
+
+/**
+ * Reads the fragment paths of a block, with the audience conditions they are shown for.
+ * @param {Element} block The fragment block
+ * @returns {Object[]} The variants, with their path and condition
+ */
+function getVariants(block) {
+  return [...block.children].map((row) => {
+    const [cell, conditionCell] = row.children;
+    const link = cell && cell.querySelector('a');
+    return {
+      path: link ? link.getAttribute('href') : (cell || row).textContent.trim(),
+      condition: conditionCell ? conditionCell.textContent.trim() : '',
+    };
+  }).filter(({ path }) => path);
+}
+
+/**
+ * Picks the first variant whose condition matches the visitor, or else the first one
+ * without a condition, and reports the choice if there was one to make.
+ * @param {Object[]} variants The variants
+ * @returns {Promise<Object|undefined>} The variant to show
+ */
+async function pickVariant(variants) {
+  const targeted = variants.filter(({ condition }) => condition);
+  if (!targeted.length) return variants[0];
+  const matches = await Promise.all(targeted.map(({ condition }) => matchesAudience(condition)));
+  const variant = targeted.find((v, i) => matches[i])
+    || variants.find(({ condition }) => !condition);
+  sampleRUM('audience', {
+    source: variant ? variant.path : '',
+    target: variant && variant.condition ? variant.condition : 'default',
+  });
+  return variant;
+}
+
+export default async function decorate(block) {
+  const variant = await pickVariant(getVariants(block));
+  if (!variant) {
+    block.replaceChildren();
+    return;
+  }
+  const { path } = variant;
+  const includedFrom = getIncludeChain(block);
+
+  // lazy fragments are fetched when they are about to scroll into view
+  if (block.classList.contains('lazy') && 'IntersectionObserver' in window) {
+    const observer = new IntersectionObserver(async (entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) return;
+      observer.disconnect();
+      try {
+        renderFragment(block, await loadFragment(path, includedFrom));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`failed to load fragment ${path}`, error);
+        fallback(block, error);
+      }
+    }, { rootMargin: PREFETCH_MARGIN });
+    block.replaceChildren();
+    observer.observe(block);
+    return;
+  }
+
+  renderFragment(block, await loadFragment(path, includedFrom));
+}
@@ -1,18 +1,108 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  decorateIcon,
+  fetchPlaceholders,
+  formatPlaceholder,
+  getMetadata,
+  loadCSS,
+} from '../../scripts/aem.js';
+import { getLocale } from '../../scripts/scripts.js';
+import queryIndex from '../../scripts/query-index.js';
 import { loadFragment } from '../fragment/fragment.js';
+import { createSearchBox } from '../search/search.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
+// delays for opening and closing menus on hover, in ms
+const HOVER_OPEN_DELAY = 150;
+const HOVER_CLOSE_DELAY = 300;
+// time after which typed characters start a new type-ahead search, in ms
+const TYPEAHEAD_RESET = 500;
+
+// translated UI strings, loaded when the header is decorated
+let placeholders = {};
+
+// type-ahead search state of each menu
+const typeaheadState = new WeakMap();
+
+/**
+ * Returns the menu items of a menu or menubar.
+ * @param {Element} menu The menu element
+ * @returns {Element[]} The menu items
+ */
+function getMenuItems(menu) {
+  return [...menu.querySelectorAll(':scope > li > [role="menuitem"]')];
+}
+
+/**
+ * Returns the menu or menubar a menu item belongs to.
+ * @param {Element} item The menu item
+ * @returns {Element} The menu element
+ */
+function getMenu(item) {
+  return item.closest('[role="menu"], [role="menubar"]');
+}
+
+/**
+ * Moves focus to a menu item, making it the only focusable item of its menu.
+ * @param {Element} item The menu item
+ */
+function focusMenuItem(item) {
+  if (!item) return;
+  getMenuItems(getMenu(item)).forEach((i) => i.setAttribute('tabindex', i === item ? 0 : -1));
+  item.focus();
+}
+
+/**
+ * Opens or closes the submenu of a menu item. Closing a submenu also closes its descendants.
+ * @param {Element} toggle The menu item controlling the submenu
+ * @param {boolean} expanded Whether the submenu should be open
+ */
+function toggleSubmenu(toggle, expanded) {
+  toggle.setAttribute('aria-expanded', expanded);
+  if (!expanded) {
+    const panel = document.getElementById(toggle.getAttribute('aria-controls'));
+    panel?.querySelectorAll('[aria-expanded="true"]').forEach((t) => t.setAttribute('aria-expanded', false));
+  }
+}
+
+/**
+ * Opens the submenu of a menu item, closing its siblings, and optionally focuses
+ * one of its items.
+ * @param {Element} toggle The menu item controlling the submenu
+ * @param {string} [focus] `first` or `last` to move focus into the submenu
+ */
+function openSubmenu(toggle, focus) {
+  getMenuItems(getMenu(toggle))
+    .filter((item) => item !== toggle && item.hasAttribute('aria-expanded'))
+    .forEach((item) => toggleSubmenu(item, false));
+  toggleSubmenu(toggle, true);
+  if (focus) {
+    const panel = document.getElementById(toggle.getAttribute('aria-controls'));
+    const items = getMenuItems(panel.querySelector('[role="menu"]'));
+    focusMenuItem(focus === 'last' ? items[items.length - 1] : items[0]);
+  }
+}
+
+/**
+ * Toggles all nav sections
+ * @param {Element} sections The container element
+ * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ */
+function toggleAllNavSections(sections, expanded = false) {
+  sections.querySelectorAll('.nav-drop-toggle').forEach((toggle) => {
+    toggleSubmenu(toggle, expanded);
+  });
+}
+
 function closeOnEscape(e) {
   if (e.code === 'Escape') {
     const nav = document.getElementById('nav');
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
+    const navSectionExpanded = navSections.querySelector('.nav-drop-toggle[aria-expanded="true"]');
     if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
       toggleAllNavSections(navSections);
-      navSectionExpanded.focus();
+      focusMenuItem(navSectionExpanded);
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
       toggleMenu(nav, navSections);
@@ -25,9 +115,8 @@ function closeOnFocusLost(e) {
   const nav = e.currentTarget;
   if (!nav.contains(e.relatedTarget)) {
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
+    const navSectionExpanded = navSections.querySelector('.nav-drop-toggle[aria-expanded="true"]');
     if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
       toggleAllNavSections(navSections, false);
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
@@ -36,30 +125,359 @@ function closeOnFocusLost(e) {
   }
 }
 
-function openOnKeydown(e) {
-  const focused = document.activeElement;
-  const isNavDrop = focused.className === 'nav-drop';
-  if (isNavDrop && (e.code === 'Enter' || e.code === 'Space')) {
-    const dropExpanded = focused.getAttribute('aria-expanded') === 'true';
-    // eslint-disable-next-line no-use-before-define
-    toggleAllNavSections(focused.closest('.nav-sections'));
-    focused.setAttribute('aria-expanded', dropExpanded ? 'false' : 'true');
+/**
+ * Moves focus to the next item of a menu whose label starts with the typed characters.
+ * @param {Element} item The focused menu item
+ * @param {string} char The typed character
+ */
+function typeahead(item, char) {
+  const menu = getMenu(item);
+  const now = Date.now();
+  const state = typeaheadState.get(menu);
+  const search = state && now - state.time < TYPEAHEAD_RESET ? `${state.search}${char}` : char;
+  typeaheadState.set(menu, { search, time: now });
+
+  const items = getMenuItems(menu);
+  const start = items.indexOf(item) + (search.length === 1 ? 1 : 0);
+  const match = [...items.slice(start), ...items.slice(0, start)]
+    .find((i) => i.textContent.trim().toLowerCase().startsWith(search.toLowerCase()));
+  if (match) focusMenuItem(match);
+}
+
+/**
+ * Handles keyboard interaction following the WAI-ARIA menubar pattern.
+ * @param {KeyboardEvent} e The keydown event
+ */
+function onMenuKeydown(e) {
+  const item = e.target.closest('[role="menuitem"]');
+  if (!item) return;
+  const menu = getMenu(item);
+  const menubar = menu.closest('[role="menubar"]');
+  const inMenubar = menu === menubar;
+  const items = getMenuItems(menu);
+  const index = items.indexOf(item);
+  const hasSubmenu = item.hasAttribute('aria-haspopup');
+  // the menu item in the menubar this item is part of
+  const topItem = inMenubar ? item : menubar.querySelector(':scope > li > [aria-expanded="true"]');
+  const parentToggle = inMenubar ? null : menu.closest('.nav-panel').previousElementSibling;
+  // moving in the menubar keeps a submenu open if one was open before
+  const moveInMenubar = (offset) => {
+    const topItems = getMenuItems(menubar);
+    const next = topItems[(topItems.indexOf(topItem) + offset + topItems.length) % topItems.length];
+    const wasOpen = !inMenubar || topItem.getAttribute('aria-expanded') === 'true';
+    toggleAllNavSections(menubar);
+    focusMenuItem(next);
+    if (wasOpen && next.hasAttribute('aria-haspopup')) openSubmenu(next, inMenubar ? null : 'first');
+  };
+
+  let handled = true;
+  switch (e.key) {
+    case 'ArrowRight':
+      if (inMenubar) moveInMenubar(1);
+      else if (hasSubmenu) openSubmenu(item, 'first');
+      else moveInMenubar(1);
+      break;
+    case 'ArrowLeft':
+      if (inMenubar) moveInMenubar(-1);
+      else if (getMenu(parentToggle) !== menubar) {
+        toggleSubmenu(parentToggle, false);
+        focusMenuItem(parentToggle);
+      } else moveInMenubar(-1);
+      break;
+    case 'ArrowDown':
+      if (inMenubar && hasSubmenu) openSubmenu(item, 'first');
+      else if (!inMenubar) focusMenuItem(items[(index + 1) % items.length]);
+      else handled = false;
+      break;
+    case 'ArrowUp':
+      if (inMenubar && hasSubmenu) openSubmenu(item, 'last');
+      else if (!inMenubar) focusMenuItem(items[(index - 1 + items.length) % items.length]);
+      else handled = false;
+      break;
+    case 'Home':
+      focusMenuItem(items[0]);
+      break;
+    case 'End':
+      focusMenuItem(items[items.length - 1]);
+      break;
+    case 'Enter':
+    case ' ':
+      if (hasSubmenu) openSubmenu(item, 'first');
+      else handled = false;
+      break;
+    case 'Escape':
+      if (parentToggle) {
+        toggleSubmenu(parentToggle, false);
+        focusMenuItem(parentToggle);
+      } else handled = false;
+      break;
+    case 'Tab':
+      toggleAllNavSections(menubar);
+      handled = false;
+      break;
+    default:
+      if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey && e.key !== ' ') {
+        typeahead(item, e.key);
+      } else handled = false;
+  }
+  if (handled) {
+    e.preventDefault();
+    e.stopPropagation();
   }
 }
 
-function focusNavSection() {
-  document.activeElement.addEventListener('keydown', openOnKeydown);
+/**
+ * Opens menus with a delay when hovering them on desktop, and closes them with
+ * a delay when the pointer leaves, so that crossing other items does not flicker.
+ * @param {Element} li The list item of the menu item with a submenu
+ */
+function addHoverIntent(li) {
+  const toggle = li.querySelector(':scope > .nav-drop-toggle');
+  let timer;
+  li.addEventListener('mouseenter', () => {
+    if (!isDesktop.matches) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => openSubmenu(toggle), HOVER_OPEN_DELAY);
+  });
+  li.addEventListener('mouseleave', () => {
+    if (!isDesktop.matches) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => toggleSubmenu(toggle, false), HOVER_CLOSE_DELAY);
+  });
 }
 
 /**
- * Toggles all nav sections
- * @param {Element} sections The container element
- * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ * Loads fragments referenced in a menu panel into the panel.
+ * @param {Element} panel The menu panel
  */
-function toggleAllNavSections(sections, expanded = false) {
-  sections.querySelectorAll('.nav-sections .default-content-wrapper > ul > li').forEach((section) => {
-    section.setAttribute('aria-expanded', expanded);
+async function loadPanelFragments(panel) {
+  const links = [...panel.querySelectorAll('.nav-promo a[href*="/fragments/"]')];
+  await Promise.all(links.map(async (link) => {
+    const path = new URL(link.href, window.location).pathname;
+    // keep the link in place if the fragment cannot be included, eg. as it includes itself
+    const fragment = await loadFragment(path).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load fragment ${path}`, error);
+      return null;
+    });
+    if (fragment) {
+      const container = link.closest('div.fragment, p') || link;
+      container.replaceWith(...fragment.childNodes);
+    }
+  }));
+}
+
+/**
+ * Turns a nav list into a menu, recursively turning nested lists into submenus.
+ * Nested lists and any other content of a list item (promo content, fragment
+ * links) are placed in a panel controlled by the item.
+ * @param {Element} ul The list element
+ * @param {string} id The id prefix for the panels
+ * @param {boolean} isMenubar Whether this is the top level list
+ */
+function decorateMenu(ul, id, isMenubar) {
+  ul.setAttribute('role', isMenubar ? 'menubar' : 'menu');
+  [...ul.children].forEach((li, i) => {
+    li.setAttribute('role', 'none');
+    const submenu = li.querySelector(':scope > ul');
+    if (submenu) {
+      li.classList.add('nav-drop');
+      const panelId = `${id}-${i}`;
+      const label = [...li.childNodes].find((node) => node !== submenu && node.textContent.trim());
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'nav-drop-toggle';
+      toggle.setAttribute('role', 'menuitem');
+      toggle.textContent = label ? label.textContent.trim() : '';
+      toggle.setAttribute('aria-haspopup', 'true');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', panelId);
+      // keep the landing page of a linked label reachable as first item of the submenu
+      const link = label && label.nodeType === Node.ELEMENT_NODE && (label.matches('a') ? label : label.querySelector('a'));
+      if (label) label.remove();
+      if (link) {
+        const overview = document.createElement('li');
+        overview.append(link);
+        submenu.prepend(overview);
+      }
+
+      const panel = document.createElement('div');
+      panel.className = 'nav-panel';
+      panel.id = panelId;
+      const back = document.createElement('button');
+      back.type = 'button';
+      back.className = 'nav-back';
+      back.textContent = formatPlaceholder(placeholders, 'back', 'Back');
+      back.addEventListener('click', () => {
+        toggleSubmenu(toggle, false);
+        focusMenuItem(toggle);
+      });
+      const promo = document.createElement('div');
+      promo.className = 'nav-promo';
+      promo.append(...[...li.childNodes].filter((node) => node !== submenu));
+      panel.append(back, submenu);
+      if (promo.textContent.trim() || promo.querySelector('picture')) panel.append(promo);
+      submenu.setAttribute('aria-label', toggle.textContent);
+      li.replaceChildren(toggle, panel);
+
+      toggle.addEventListener('click', () => {
+        if (toggle.getAttribute('aria-expanded') === 'true') toggleSubmenu(toggle, false);
+        else openSubmenu(toggle);
+      });
+      if (isMenubar) addHoverIntent(li);
+      decorateMenu(submenu, panelId, false);
+    } else {
+      const item = li.querySelector('a') || li;
+      if (item === li) {
+        const span = document.createElement('span');
+        span.append(...li.childNodes);
+        li.append(span);
+      }
+      (item === li ? li.firstElementChild : item).setAttribute('role', 'menuitem');
+    }
   });
+  getMenuItems(ul).forEach((item, i) => item.setAttribute('tabindex', isMenubar && i === 0 ? 0 : -1));
+}
+
+/**
+ * Adds a search control to the nav tools, opening a search box with typeahead.
+ * @param {Element} navTools The nav tools element
+ */
+function decorateSearch(navTools) {
+  loadCSS(`${window.hlx.codeBasePath}/blocks/search/search.css`);
+  const searchBox = createSearchBox(placeholders);
+  searchBox.id = 'nav-search-box';
+  searchBox.hidden = true;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'nav-search-toggle';
+  toggle.setAttribute('aria-label', formatPlaceholder(placeholders, 'search', 'Search'));
+  toggle.setAttribute('aria-controls', searchBox.id);
+  toggle.setAttribute('aria-expanded', 'false');
+  const icon = document.createElement('span');
+  icon.className = 'icon icon-search';
+  toggle.append(icon);
+  decorateIcon(icon);
+
+  const setExpanded = (expanded) => {
+    toggle.setAttribute('aria-expanded', expanded);
+    searchBox.hidden = !expanded;
+    if (expanded) searchBox.querySelector('input').focus();
+  };
+  toggle.addEventListener('click', () => setExpanded(toggle.getAttribute('aria-expanded') !== 'true'));
+  searchBox.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      setExpanded(false);
+      toggle.focus();
+    }
+  });
+
+  const search = document.createElement('div');
+  search.className = 'nav-search';
+  search.append(toggle, searchBox);
+  navTools.append(search);
+}
+
+/**
+ * Turns a path segment into a readable label, eg. `our-team` into `Our team`.
+ * @param {string} segment The path segment
+ * @returns {string} The label
+ */
+function getSegmentLabel(segment) {
+  const label = decodeURIComponent(segment).replace(/[-_]+/g, ' ');
+  return label.charAt(0).toUpperCase() + label.substring(1);
+}
+
+/**
+ * Builds the breadcrumbs of the current page from its path. Labels of the parent pages
+ * come from the nav and the query index (`breadcrumb-title` or `title`), the label of
+ * the current page from its `breadcrumb-title` metadata or heading.
+ * @param {Element} nav The nav element
+ * @returns {Promise<Element>} The breadcrumbs element
+ */
+async function buildBreadcrumbs(nav) {
+  const { prefix } = getLocale();
+  const { pathname } = window.location;
+  // the locale may come from metadata, only a prefix the path actually has is a level
+  const base = prefix && pathname.startsWith(`${prefix}/`) ? prefix : '';
+  const segments = pathname.substring(base.length).split('/').filter((segment) => segment);
+  const paths = segments.slice(0, -1).map((_, i) => `${base}/${segments.slice(0, i + 1).join('/')}`);
+
+  const navLabels = {};
+  nav.querySelectorAll('a[href]').forEach((a) => {
+    const url = new URL(a.href, window.location);
+    if (url.origin === window.location.origin && !navLabels[url.pathname]) {
+      navLabels[url.pathname] = a.textContent.trim();
+    }
+  });
+  const entries = {};
+  try {
+    const missing = paths.filter((path) => !navLabels[path]);
+    if (missing.length) {
+      (await queryIndex()
+        .filter((entry) => missing.includes(entry.path))
+        .slice(0, missing.length)
+        .all())
+        .forEach((entry) => { entries[entry.path] = entry; });
+    }
+  } catch (error) {
+    // index not available, fall back to nav labels and path segments
+  }
+
+  const crumbs = [
+    { path: `${base}/`, label: formatPlaceholder(placeholders, 'home', 'Home') },
+    ...paths.map((path, i) => {
+      const entry = entries[path];
+      const label = navLabels[path] || (entry && (entry['breadcrumb-title'] || entry.title));
+      // parents that are not known pages are shown without link
+      return { path: label ? path : null, label: label || getSegmentLabel(segments[i]) };
+    }),
+  ];
+  if (segments.length) {
+    crumbs.push({
+      path: pathname,
+      label: getMetadata('breadcrumb-title')
+        || document.querySelector('main h1')?.textContent.trim()
+        || getSegmentLabel(segments[segments.length - 1]),
+    });
+  }
+
+  const breadcrumbs = document.createElement('nav');
+  breadcrumbs.className = 'breadcrumbs';
+  breadcrumbs.setAttribute('aria-label', formatPlaceholder(placeholders, 'breadcrumb', 'Breadcrumb'));
+  const ol = document.createElement('ol');
+  crumbs.forEach(({ path, label }, i) => {
+    const li = document.createElement('li');
+    if (path) {
+      const a = document.createElement('a');
+      a.href = path;
+      a.textContent = label;
+      if (i === crumbs.length - 1) a.setAttribute('aria-current', 'page');
+      li.append(a);
+    } else {
+      li.textContent = label;
+    }
+    ol.append(li);
+  });
+  breadcrumbs.append(ol);
+
+  const jsonLd = document.createElement('script');
+  jsonLd.type = 'application/ld+json';
+  jsonLd.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map(({ path, label }, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: label,
+      ...(path ? { item: new URL(path, window.location).href } : {}),
+    })),
+  });
+  document.head.append(jsonLd);
+
+  return breadcrumbs;
 }
 
 /**
@@ -73,23 +491,11 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   const button = nav.querySelector('.nav-hamburger button');
   document.body.style.overflowY = (expanded || isDesktop.matches) ? '' : 'hidden';
   nav.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-  toggleAllNavSections(navSections, expanded || isDesktop.matches ? 'false' : 'true');
-  button.setAttribute('aria-label', expanded ? 'Open navigation' : 'Close navigation');
-  // enable nav dropdown keyboard accessibility
-  const navDrops = navSections.querySelectorAll('.nav-drop');
-  if (isDesktop.matches) {
-    navDrops.forEach((drop) => {
-      if (!drop.hasAttribute('tabindex')) {
-        drop.setAttribute('tabindex', 0);
-        drop.addEventListener('focus', focusNavSection);
-      }
-    });
-  } else {
-    navDrops.forEach((drop) => {
-      drop.removeAttribute('tabindex');
-      drop.removeEventListener('focus', focusNavSection);
-    });
-  }
+  // mobile drill-down always starts from the top level
+  toggleAllNavSections(navSections, false);
+  button.setAttribute('aria-label', expanded
+    ? formatPlaceholder(placeholders, 'openNavigation', 'Open navigation')
+    : formatPlaceholder(placeholders, 'closeNavigation', 'Close navigation'));
 
   // enable menu collapse on escape keypress
   if (!expanded || isDesktop.matches) {
@@ -108,15 +514,20 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
  * @param {Element} block The header block element
  */
 export default async function decorate(block) {
-  // load nav as fragment
+  // load nav as fragment, the variant of the page locale is preferred if there is one
   const navMeta = getMetadata('nav');
   const navPath = navMeta ? new URL(navMeta, window.location).pathname : '/nav';
-  const fragment = await loadFragment(navPath);
+  const [fragment, localePlaceholders] = await Promise.all([
+    loadFragment(navPath),
+    fetchPlaceholders(getLocale().prefix),
+  ]);
+  placeholders = localePlaceholders;
 
   // decorate nav DOM
   block.textContent = '';
   const nav = document.createElement('nav');
   nav.id = 'nav';
+  nav.setAttribute('aria-label', formatPlaceholder(placeholders, 'mainNavigation', 'Main navigation'));
   while (fragment.firstElementChild) nav.append(fragment.firstElementChild);
 
   const classes = ['brand', 'sections', 'tools'];
@@ -134,24 +545,29 @@ export default async function decorate(block) {
 
   const navSections = nav.querySelector('.nav-sections');
   if (navSections) {
-    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection) => {
-      if (navSection.querySelector('ul')) navSection.classList.add('nav-drop');
-      navSection.addEventListener('click', () => {
-        if (isDesktop.matches) {
-          const expanded = navSection.getAttribute('aria-expanded') === 'true';
-          toggleAllNavSections(navSections);
-          navSection.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-        }
+    const menubar = navSections.querySelector(':scope .default-content-wrapper > ul');
+    if (menubar) {
+      menubar.querySelectorAll('.button').forEach((button) => {
+        button.className = '';
+        button.closest('.button-container')?.classList.remove('button-container');
       });
-    });
+      decorateMenu(menubar, 'nav-menu', true);
+      menubar.setAttribute('aria-label', nav.getAttribute('aria-label'));
+      menubar.addEventListener('keydown', onMenuKeydown);
+      menubar.querySelectorAll('.nav-panel').forEach(loadPanelFragments);
+    }
   }
 
+  const navTools = nav.querySelector('.nav-tools');
+  if (navTools) decorateSearch(navTools);
+
   // hamburger for mobile
   const hamburger = document.createElement('div');
   hamburger.classList.add('nav-hamburger');
-  hamburger.innerHTML = `<button type="button" aria-controls="nav" aria-label="Open navigation">
+  hamburger.innerHTML = `<button type="button" aria-controls="nav">
       <span class="nav-hamburger-icon"></span>
     </button>`;
+  hamburger.querySelector('button').setAttribute('aria-label', formatPlaceholder(placeholders, 'openNavigation', 'Open navigation'));
   hamburger.addEventListener('click', () => toggleMenu(nav, navSections));
   nav.prepend(hamburger);
   nav.setAttribute('aria-expanded', 'false');
@@ -162,5 +578,8 @@ export default async function decorate(block) {
   const navWrapper = document.createElement('div');
   navWrapper.className = 'nav-wrapper';
   navWrapper.append(nav);
+  if (document.body.classList.contains('breadcrumbs-enabled')) {
+    navWrapper.append(await buildBreadcrumbs(nav));
+  }
   block.append(navWrapper);
 }
@@ -0,0 +1,138 @@
+import {
+  createOptimizedPicture,
+  decorateButtons,
+  fetchPlaceholders,
+  formatPlaceholder,
+} from '../../scripts/aem.js';
+import { getLocale, moveInstrumentation } from '../../scripts/scripts.js';
+
+/**
+ * Parses a focal point, eg. `30% 60%` or `30, 60`.
+ * @param {string} text The authored focal point
+ * @returns {string|null} The focal point as object-position, if valid
+ */
+function getFocalPoint(text) {
+  const match = text.trim().match(/^(\d{1,3}(?:\.\d+)?)%?[\s,]+(\d{1,3}(?:\.\d+)?)%?$/);
+  if (!match) return null;
+  const [x, y] = [match[1], match[2]].map((n) => Math.min(parseFloat(n), 100));
+  return `${x}% ${y}%`;
+}
+
+/**
+ * Adds a background video once the hero image is loaded, so the image stays the LCP
+ * candidate. Users preferring reduced motion get the image only, and can pause the
+ * video otherwise.
+ * @param {Element} block The hero block
+ * @param {Element} media The media container
+ * @param {string} src The URL of the video
+ * @param {string} [objectPosition] The focal point
+ */
+async function loadVideo(block, media, src, objectPosition) {
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const img = media.querySelector('img');
+  if (img && !img.complete) {
+    await new Promise((resolve) => {
+      img.addEventListener('load', resolve);
+      img.addEventListener('error', resolve);
+    });
+  }
+
+  const video = document.createElement('video');
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = reducedMotion.matches ? 'none' : 'auto';
+  video.setAttribute('aria-hidden', 'true');
+  if (img) video.poster = img.currentSrc || img.src;
+  if (objectPosition) video.style.objectPosition = objectPosition;
+  video.src = src;
+  video.addEventListener('playing', () => block.classList.add('hero-video-playing'), { once: true });
+  media.append(video);
+
+  const placeholders = await fetchPlaceholders(getLocale().prefix);
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'hero-video-toggle';
+  let paused = reducedMotion.matches;
+  const update = () => {
+    toggle.setAttribute('aria-pressed', paused);
+    toggle.setAttribute('aria-label', paused
+      ? formatPlaceholder(placeholders, 'playVideo', 'Play video')
+      : formatPlaceholder(placeholders, 'pauseVideo', 'Pause video'));
+    if (paused) video.pause();
+    else video.play().catch(() => {});
+  };
+  toggle.addEventListener('click', () => {
+    paused = !paused;
+    update();
+  });
+  reducedMotion.addEventListener('change', () => {
+    paused = reducedMotion.matches;
+    update();
+  });
+  block.append(toggle);
+  update();
+}
+
+export default function decorate(block) {
+  const media = document.createElement('div');
+  media.className = 'hero-media';
+  const content = document.createElement('div');
+  content.className = 'hero-content';
+  // authored heroes have a row per field of the model, the image, video and focal point
+  // first, auto blocked heroes a single row with the picture and the heading
+  const rows = [...block.children];
+  const [imageRow, videoRow, focalPointRow, ...contentRows] = rows.length > 1
+    ? rows
+    : [null, null, null, ...rows];
+  const picture = imageRow && imageRow.querySelector('picture');
+  if (picture) media.append(picture);
+  const videoLink = videoRow && videoRow.querySelector('a[href]');
+  const objectPosition = focalPointRow && getFocalPoint(focalPointRow.textContent);
+  contentRows.forEach((row) => {
+    const cell = row.firstElementChild || row;
+    if (row.textContent.trim() || row.querySelector('picture')) {
+      moveInstrumentation(row, cell);
+      content.append(cell);
+    }
+  });
+  rows.forEach((row) => row.remove());
+
+  // auto blocked heroes have the picture in the same cell as the heading
+  const inlinePicture = !media.children.length && content.querySelector('picture');
+  if (inlinePicture) {
+    const parent = inlinePicture.parentElement;
+    media.append(inlinePicture);
+    if (parent.tagName === 'P' && !parent.textContent.trim() && !parent.children.length) parent.remove();
+  }
+
+  // the hero image is the LCP candidate, load it right away
+  const img = media.querySelector('picture > img');
+  if (img) {
+    const optimizedPic = createOptimizedPicture(img.src, img.alt, true, undefined, {
+      width: img.getAttribute('width'),
+      height: img.getAttribute('height'),
+      fetchPriority: 'high',
+    });
+    moveInstrumentation(img, optimizedPic.querySelector('img'));
+    img.closest('picture').replaceWith(optimizedPic);
+    if (objectPosition) optimizedPic.querySelector('img').style.objectPosition = objectPosition;
+  }
+
+  // group the calls to action
+  decorateButtons(content);
+  content.querySelectorAll('.button-container').forEach((container) => {
+    const previous = container.previousElementSibling;
+    if (previous && previous.classList.contains('hero-ctas')) {
+      previous.append(container);
+    } else {
+      const ctas = document.createElement('div');
+      ctas.className = 'hero-ctas';
+      container.replaceWith(ctas);
+      ctas.append(container);
+    }
+  });
+
+  block.append(media, content);
+  if (videoLink) loadVideo(block, media, videoLink.href, objectPosition);
+}
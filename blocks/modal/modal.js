@@ -0,0 +1,193 @@
+/*
+ * Modal
+ * Show a fragment in a dialog instead of navigating to it, for links to /modals/ paths.
+ * Other blocks can open one themselves:
+ *
+ * const { openModal } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+ * openModal('/modals/newsletter');
+ *
+ * The open modal is kept in the `modal` parameter of the page URL, so it can be linked to.
+ */
+
+import {
+  fetchPlaceholders,
+  formatPlaceholder,
+  loadCSS,
+} from '../../scripts/aem.js';
+import { getLocale, getModalPath } from '../../scripts/scripts.js';
+import { loadFragment, prefetchFragment } from '../fragment/fragment.js';
+
+export const MODAL_PARAM = 'modal';
+const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex]:not([tabindex="-1"])';
+
+// the open modal, with its path and the element to return the focus to
+let current = null;
+
+/**
+ * Returns the elements of a dialog the focus can move to, in tab order.
+ * @param {HTMLDialogElement} dialog The dialog
+ * @returns {Element[]} The focusable elements
+ */
+function getFocusable(dialog) {
+  return [...dialog.querySelectorAll(FOCUSABLE)]
+    .filter((el) => !el.disabled && !el.closest('[hidden], [inert]'));
+}
+
+/**
+ * Keeps the focus within a dialog, wrapping around at its first and last element.
+ * @param {HTMLDialogElement} dialog The dialog
+ * @param {KeyboardEvent} e The keydown event
+ */
+function trapFocus(dialog, e) {
+  if (e.key !== 'Tab') return;
+  const focusable = getFocusable(dialog);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Sets or removes the modal parameter of the page URL.
+ * @param {string|null} path The path of the open modal, if any
+ * @param {boolean} [push] Whether to add a history entry
+ */
+function updateUrl(path, push = false) {
+  const url = new URL(window.location.href);
+  if (path) url.searchParams.set(MODAL_PARAM, path);
+  else url.searchParams.delete(MODAL_PARAM);
+  if (push) window.history.pushState({ [MODAL_PARAM]: path }, '', url);
+  else window.history.replaceState(path ? { [MODAL_PARAM]: path } : null, '', url);
+}
+
+/**
+ * Closes the open modal.
+ * @param {Object} [options] The options
+ * @param {boolean} [options.restoreUrl] Whether to remove the modal from the page URL
+ */
+export function closeModal({ restoreUrl = true } = {}) {
+  if (!current) return;
+  const modal = current;
+  current = null;
+  modal.restoreUrl = restoreUrl;
+  modal.dialog.close();
+}
+
+/**
+ * Creates a dialog around content.
+ * @param {Node[]} content The content of the dialog
+ * @param {Object} placeholders The placeholders for labels
+ * @returns {HTMLDialogElement} The dialog, not yet added to the page
+ */
+function createDialog(content, placeholders) {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'modal';
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'modal-close';
+  close.setAttribute('aria-label', formatPlaceholder(placeholders, 'modalClose', 'Close'));
+  close.addEventListener('click', () => dialog.close());
+
+  const body = document.createElement('div');
+  body.className = 'modal-content';
+  body.append(...content);
+  dialog.append(close, body);
+
+  const heading = body.querySelector('h1, h2, h3, h4, h5, h6');
+  if (heading && heading.id) dialog.setAttribute('aria-labelledby', heading.id);
+  else if (heading) dialog.setAttribute('aria-label', heading.textContent.trim());
+
+  dialog.addEventListener('keydown', (e) => trapFocus(dialog, e));
+  // the content fills the dialog, so clicks on the dialog itself are on the backdrop
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+  return dialog;
+}
+
+/**
+ * Opens a fragment in a modal, replacing the open one.
+ * Navigates to the fragment if it cannot be loaded.
+ * Paths other than same origin /modals/ paths are ignored.
+ * @param {string} modalPath The path to the fragment
+ * @param {Object} [options] The options
+ * @param {Element} [options.trigger] The element to return the focus to on close
+ * @param {boolean} [options.updateHistory] Whether to add the modal to the page URL
+ * @returns {Promise<HTMLDialogElement|null>} The dialog
+ */
+export async function openModal(modalPath, options = {}) {
+  const { trigger = document.activeElement, updateHistory = true } = options;
+  const path = getModalPath(modalPath);
+  if (!path) {
+    // eslint-disable-next-line no-console
+    console.warn(`not a modal ${modalPath}`);
+    return null;
+  }
+  const [fragment, placeholders] = await Promise.all([
+    loadFragment(path).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load modal ${path}`, error);
+      return null;
+    }),
+    fetchPlaceholders(getLocale().prefix),
+    loadCSS(`${window.hlx.codeBasePath}/blocks/modal/modal.css`),
+  ]);
+  if (!fragment) {
+    window.location.href = path;
+    return null;
+  }
+
+  // a modal opened from another one takes its place, also in the history
+  const replacing = !!current;
+  const returnFocus = current ? current.trigger : trigger;
+  closeModal({ restoreUrl: false });
+
+  const dialog = createDialog([...fragment.childNodes], placeholders);
+  const modal = {
+    dialog,
+    path,
+    trigger: returnFocus,
+    restoreUrl: true,
+  };
+  dialog.addEventListener('close', () => {
+    dialog.remove();
+    if (current === modal) current = null;
+    // unless another modal took its place
+    if (!current) document.body.classList.remove('modal-open');
+    if (modal.restoreUrl) {
+      // leave the history entry of the modal, if it was added by opening it
+      if (window.history.state && window.history.state[MODAL_PARAM] === path) window.history.back();
+      else updateUrl(null);
+    }
+    if (modal.trigger && modal.trigger.isConnected && !current) modal.trigger.focus();
+  });
+
+  current = modal;
+  document.body.append(dialog);
+  document.body.classList.add('modal-open');
+  dialog.showModal();
+  if (updateHistory) updateUrl(path, !replacing);
+  return dialog;
+}
+
+/**
+ * Fetches the fragment of a modal ahead of time, eg. when a link to it is hovered.
+ * @param {string} path The path to the fragment
+ */
+export function prefetchModal(path) {
+  prefetchFragment(path).catch(() => {});
+}
+
+// follow the modal parameter when going back and forward in the history
+window.addEventListener('popstate', () => {
+  const param = new URLSearchParams(window.location.search).get(MODAL_PARAM);
+  const path = param && getModalPath(param);
+  if (current && current.path !== path) closeModal({ restoreUrl: false });
+  if (path && !current) openModal(path, { updateHistory: false });
+});
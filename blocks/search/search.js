@@ -0,0 +1,294 @@
+/*
+ * Search Block
+ * Search titles and descriptions of the query index, used by the search results
+ * page and by the search box in the header.
+ */
+
+import {
+  decorateIcon,
+  fetchPlaceholders,
+  formatPlaceholder,
+} from '../../scripts/aem.js';
+import { getLocale, isLocalePath, localizePath } from '../../scripts/scripts.js';
+import queryIndex from '../../scripts/query-index.js';
+
+// path of the search results page
+const SEARCH_PAGE = '/search';
+const MIN_TERM_LENGTH = 2;
+const TYPEAHEAD_LIMIT = 8;
+const INPUT_DELAY = 150;
+
+let searchCount = 0;
+
+/**
+ * Splits a search query into lower-cased terms.
+ * @param {string} query The search query
+ * @returns {string[]} The terms
+ */
+function getTerms(query) {
+  return query.toLowerCase().split(/\s+/).filter((term) => term);
+}
+
+/**
+ * Searches titles and descriptions of the query index.
+ * Entries must match all terms, those matching in their title are listed first.
+ * @param {string} query The search query
+ * @param {number} [limit] The maximum number of results
+ * @returns {Promise<Object[]>} The matching index entries
+ */
+export async function search(query, limit = Infinity) {
+  const terms = getTerms(query);
+  if (!terms.length) return [];
+  const results = await queryIndex()
+    .filter(({ path = '' }) => isLocalePath(path))
+    .map((entry) => {
+      const title = (entry.title || '').toLowerCase();
+      const text = `${title} ${(entry.description || '').toLowerCase()}`;
+      if (!terms.every((term) => text.includes(term))) return null;
+      return { entry, rank: terms.filter((term) => title.includes(term)).length };
+    })
+    .filter((result) => result)
+    .all();
+  return results
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Wraps the occurrences of search terms in a text in <mark> elements.
+ * @param {string} text The text
+ * @param {string[]} terms The search terms
+ * @returns {DocumentFragment} The highlighted text
+ */
+export function highlight(text = '', terms = []) {
+  const fragment = document.createDocumentFragment();
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) {
+    fragment.append(text);
+    return fragment;
+  }
+  text.split(new RegExp(`(${escaped.join('|')})`, 'gi')).forEach((part, i) => {
+    if (i % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      fragment.append(mark);
+    } else if (part) {
+      fragment.append(part);
+    }
+  });
+  return fragment;
+}
+
+/**
+ * Returns the URL of the search results page for a query.
+ * @param {string} query The search query
+ * @returns {string} The URL
+ */
+export function getSearchPageUrl(query) {
+  return `${localizePath(SEARCH_PAGE)}?q=${encodeURIComponent(query)}`;
+}
+
+/**
+ * Renders a search result.
+ * @param {Object} entry The index entry
+ * @param {string[]} terms The search terms
+ * @param {string} tag The tag of the result element
+ * @returns {Element} The result element
+ */
+function renderResult(entry, terms, tag = 'li') {
+  const result = document.createElement(tag);
+  result.className = 'search-result';
+  const title = document.createElement('a');
+  title.href = entry.path;
+  title.className = 'search-result-title';
+  title.append(highlight(entry.title, terms));
+  result.append(title);
+  if (entry.description) {
+    const description = document.createElement('p');
+    description.className = 'search-result-description';
+    description.append(highlight(entry.description, terms));
+    result.append(description);
+  }
+  return result;
+}
+
+/**
+ * Creates a search combobox with typeahead results from the query index.
+ * Enter opens the selected result, or the search results page if none is selected.
+ * @param {Object} [placeholders] The placeholders for labels
+ * @returns {Element} The search box element
+ */
+export function createSearchBox(placeholders = {}) {
+  searchCount += 1;
+  const id = `search-${searchCount}`;
+  const box = document.createElement('div');
+  box.className = 'search-box';
+  box.setAttribute('role', 'search');
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = `${id}-input`;
+  input.autocomplete = 'off';
+  input.placeholder = formatPlaceholder(placeholders, 'searchPlaceholder', 'Search');
+  input.setAttribute('aria-label', formatPlaceholder(placeholders, 'search', 'Search'));
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', `${id}-listbox`);
+
+  const listbox = document.createElement('ul');
+  listbox.id = `${id}-listbox`;
+  listbox.className = 'search-listbox';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', formatPlaceholder(placeholders, 'searchSuggestions', 'Suggestions'));
+  listbox.hidden = true;
+
+  const status = document.createElement('p');
+  status.className = 'search-status';
+  status.setAttribute('aria-live', 'polite');
+
+  const getOptions = () => [...listbox.querySelectorAll('[role="option"]')];
+  const close = () => {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  };
+  const select = (option) => {
+    getOptions().forEach((o) => o.setAttribute('aria-selected', o === option));
+    if (option) {
+      input.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  let timer;
+  let current = 0;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const query = input.value.trim();
+      current += 1;
+      const request = current;
+      if (query.length < MIN_TERM_LENGTH) {
+        close();
+        return;
+      }
+      let results;
+      try {
+        results = await search(query, TYPEAHEAD_LIMIT);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error('failed to search', error);
+      }
+      // ignore results of outdated queries
+      if (request !== current) return;
+      if (!results) {
+        listbox.replaceChildren();
+        close();
+        status.textContent = formatPlaceholder(placeholders, 'searchError', 'Search is not available right now');
+        return;
+      }
+      const terms = getTerms(query);
+      listbox.replaceChildren(...results.map((entry, i) => {
+        const option = renderResult(entry, terms);
+        option.id = `${id}-option-${i}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.querySelector('a').tabIndex = -1;
+        return option;
+      }));
+      status.textContent = results.length
+        ? formatPlaceholder(placeholders, 'searchResultCount', '{count} results', { count: results.length })
+        : formatPlaceholder(placeholders, 'searchNoResults', 'No results');
+      listbox.hidden = !results.length;
+      input.setAttribute('aria-expanded', !!results.length);
+      input.removeAttribute('aria-activedescendant');
+    }, INPUT_DELAY);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const options = getOptions();
+    const active = document.getElementById(input.getAttribute('aria-activedescendant'));
+    const index = options.indexOf(active);
+    if (e.key === 'ArrowDown' && options.length) {
+      e.preventDefault();
+      listbox.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      select(options[(index + 1) % options.length]);
+    } else if (e.key === 'ArrowUp' && options.length) {
+      e.preventDefault();
+      select(options[index <= 0 ? options.length - 1 : index - 1]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const query = input.value.trim();
+      if (active) window.location.href = active.querySelector('a').href;
+      else if (query) window.location.href = getSearchPageUrl(query);
+    } else if (e.key === 'Escape' && !listbox.hidden) {
+      e.stopPropagation();
+      close();
+    }
+  });
+  input.addEventListener('blur', () => setTimeout(close, INPUT_DELAY));
+  // keep focus in the input while choosing an option with the mouse
+  listbox.addEventListener('mousedown', (e) => e.preventDefault());
+
+  box.append(input, listbox, status);
+  return box;
+}
+
+/**
+ * Renders the results page for the query in the URL.
+ * @param {Element} block The search block element
+ */
+export default async function decorate(block) {
+  const placeholders = await fetchPlaceholders(getLocale().prefix);
+  const query = new URLSearchParams(window.location.search).get('q') || '';
+
+  const form = document.createElement('form');
+  form.className = 'search-form';
+  form.setAttribute('role', 'search');
+  form.action = localizePath(SEARCH_PAGE);
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.name = 'q';
+  input.value = query;
+  input.placeholder = formatPlaceholder(placeholders, 'searchPlaceholder', 'Search');
+  input.setAttribute('aria-label', formatPlaceholder(placeholders, 'search', 'Search'));
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.setAttribute('aria-label', formatPlaceholder(placeholders, 'search', 'Search'));
+  const icon = document.createElement('span');
+  icon.className = 'icon icon-search';
+  submit.append(icon);
+  decorateIcon(icon);
+  form.append(input, submit);
+
+  const status = document.createElement('p');
+  status.className = 'search-status';
+  status.setAttribute('aria-live', 'polite');
+  const list = document.createElement('ul');
+  list.className = 'search-results';
+
+  block.replaceChildren(form, status, list);
+
+  if (query.trim().length >= MIN_TERM_LENGTH) {
+    let results;
+    try {
+      results = await search(query);
+    } catch (error) {
+      // keep the form, so visitors can try again
+      // eslint-disable-next-line no-console
+      console.error('failed to search', error);
+      status.textContent = formatPlaceholder(placeholders, 'searchError', 'Search is not available right now');
+      return;
+    }
+    const terms = getTerms(query);
+    list.append(...results.map((entry) => renderResult(entry, terms)));
+    status.textContent = results.length
+      ? formatPlaceholder(placeholders, 'searchResultsFor', '{count} results for "{query}"', { count: results.length, query })
+      : formatPlaceholder(placeholders, 'searchNoResultsFor', 'No results for "{query}"', { query });
+  }
+}
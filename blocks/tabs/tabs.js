@@ -0,0 +1,138 @@
+/*
+ * Tabs Block
+ * Show content in tabs, the active tab is kept in the URL hash.
+ * https://www.aem.live/developer/block-collection/tabs
+ */
+
+import { decorateBlock, loadBlock } from '../../scripts/aem.js';
+import {
+  buildFragmentBlocks,
+  getHashId,
+  getUniqueId,
+  moveInstrumentation,
+} from '../../scripts/scripts.js';
+
+/**
+ * Shows a tab and hides the others.
+ * @param {Element} block The tabs block
+ * @param {Element} tab The tab to show
+ */
+function activateTab(block, tab) {
+  block.querySelectorAll(':scope > .tabs-list > [role="tab"]').forEach((t) => {
+    const selected = t === tab;
+    t.setAttribute('aria-selected', selected);
+    t.tabIndex = selected ? 0 : -1;
+  });
+  block.querySelectorAll(':scope > .tabs-panel').forEach((panel) => {
+    panel.hidden = panel.getAttribute('aria-labelledby') !== tab.id;
+  });
+}
+
+/**
+ * Shows a tab and keeps it in the URL hash.
+ * Clicks add a history entry, so the back button goes back to the previous tab.
+ * @param {Element} block The tabs block
+ * @param {Element} tab The tab to show
+ * @param {boolean} [replace] Whether to replace the current history entry instead
+ */
+function selectTab(block, tab, replace = false) {
+  activateTab(block, tab);
+  const hash = `#${tab.id}`;
+  if (window.location.hash === hash) return;
+  if (replace) window.history.replaceState(null, '', hash);
+  else window.history.pushState(null, '', hash);
+}
+
+/**
+ * Shows the tab the URL hash points to, or the first tab if it points to none of the tabs.
+ * Once a tab is shown, hashes pointing elsewhere on the page leave the tabs as they are.
+ * @param {Element} block The tabs block
+ * @param {Element[]} tabs The tabs
+ * @param {boolean} [init] Whether no tab is shown yet
+ */
+function syncWithHash(block, tabs, init = false) {
+  const id = getHashId();
+  const tab = tabs.find((t) => t.id === id);
+  if (tab) activateTab(block, tab);
+  else if (!id || init) activateTab(block, tabs[0]);
+}
+
+/**
+ * Decorates and loads blocks nested in a tab panel, including links to fragments.
+ * @param {Element} panel The tab panel
+ * @returns {Promise} Resolves when the nested blocks are loaded
+ */
+function loadNestedBlocks(panel) {
+  buildFragmentBlocks(panel);
+  const blocks = [...panel.querySelectorAll(':scope > div[class]')];
+  return Promise.all(blocks.map((nested) => {
+    const wrapper = document.createElement('div');
+    nested.replaceWith(wrapper);
+    wrapper.append(nested);
+    decorateBlock(nested);
+    return loadBlock(nested);
+  }));
+}
+
+export default async function decorate(block) {
+  const rows = [...block.children];
+  const tablist = document.createElement('div');
+  tablist.className = 'tabs-list';
+  tablist.setAttribute('role', 'tablist');
+  block.prepend(tablist);
+
+  const tabs = rows.map((row) => {
+    const [label, panel = document.createElement('div')] = row.children;
+    const id = getUniqueId(label.textContent.trim(), 'tab');
+
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'tabs-tab';
+    tab.id = id;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', `${id}-panel`);
+    moveInstrumentation(label, tab);
+    tab.append(...label.childNodes);
+    // keep the label in one line, even if authored as paragraph
+    tab.querySelectorAll('p').forEach((p) => p.replaceWith(...p.childNodes));
+
+    panel.className = 'tabs-panel';
+    panel.id = `${id}-panel`;
+    panel.setAttribute('role', 'tabpanel');
+    panel.setAttribute('aria-labelledby', id);
+    panel.tabIndex = 0;
+    moveInstrumentation(row, panel);
+    row.replaceWith(panel);
+
+    tab.addEventListener('click', () => selectTab(block, tab));
+    // show the tab when content in it gets selected in the editor
+    panel.addEventListener('editor:select', () => activateTab(block, tab));
+    tablist.append(tab);
+    return tab;
+  });
+  if (!tabs.length) {
+    tablist.remove();
+    return;
+  }
+
+  tablist.addEventListener('keydown', (e) => {
+    const index = tabs.indexOf(document.activeElement);
+    if (index < 0) return;
+    const target = {
+      ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+      ArrowRight: tabs[(index + 1) % tabs.length],
+      Home: tabs[0],
+      End: tabs[tabs.length - 1],
+    }[e.key];
+    if (!target) return;
+    e.preventDefault();
+    selectTab(block, target, true);
+    target.focus();
+  });
+
+  syncWithHash(block, tabs, true);
+  window.addEventListener('popstate', () => syncWithHash(block, tabs));
+  window.addEventListener('hashchange', () => syncWithHash(block, tabs));
+
+  await Promise.all([...block.querySelectorAll(':scope > .tabs-panel')].map(loadNestedBlocks));
+}
@@ -135,6 +135,13 @@ function setup() {
   window.hlx.RUM_MANUAL_ENHANCE = true;
   window.hlx.codeBasePath = '';
   window.hlx.lighthouse = new URLSearchParams(window.location.search).get('lighthouse') === 'on';
+  window.hlx.blockConcurrency = 4;
+  window.hlx.blockTimeout = 10000;
+  window.hlx.blockRetries = 1;
+  // icons are inlined as svg to inherit the text color, set to 'img' to use images instead
+  window.hlx.iconMode = 'inline';
+  // set to { eager: <number of sections>, rootMargin: <css margin> } to load sections on scroll
+  window.hlx.lazySections = null;
 
   const scriptEl = document.querySelector('script[src$="/scripts/scripts.js"]');
   if (scriptEl) {
@@ -162,6 +169,36 @@ function init() {
   sampleRUM();
 }
 
+const lifecycle = new EventTarget();
+
+/**
+ * Dispatches a block or section lifecycle event to its subscribers.
+ * @param {string} type The event type, eg. `block:loaded`
+ * @param {Object} detail The event details, eg. the element and timings
+ */
+function dispatchLifecycleEvent(type, detail) {
+  try {
+    lifecycle.dispatchEvent(new CustomEvent(type, { detail }));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`failed to dispatch ${type}`, error);
+  }
+}
+
+/**
+ * Subscribes to a block or section lifecycle event.
+ * Available events are `block:decorated`, `block:loaded`, `block:error`, `section:loaded`
+ * and `page:lazy-complete`.
+ * @param {string} type The event type
+ * @param {Function} listener Called with the event details
+ * @returns {Function} A function to unsubscribe the listener
+ */
+function subscribe(type, listener) {
+  const handler = (event) => listener(event.detail);
+  lifecycle.addEventListener(type, handler);
+  return () => lifecycle.removeEventListener(type, handler);
+}
+
 /**
  * Sanitizes a string for use as class name.
  * @param {string} name The unsanitized string
@@ -186,6 +223,53 @@ function toCamelCase(name) {
   return toClassName(name).replace(/-([a-z])/g, (g) => g[1].toUpperCase());
 }
 
+/**
+ * Gets placeholders object.
+ * Placeholders of a locale fall back to the ones of the default locale, and are
+ * only fetched once per locale.
+ * @param {string} [locale] The locale or its path prefix, eg. `de` or `/de`,
+ * empty for the default locale
+ * @returns {Promise<Object>} The placeholders, keyed by their camel-cased key
+ */
+async function fetchPlaceholders(locale = '') {
+  const prefix = locale.replace(/^\/|\/$/g, '');
+  const key = prefix || 'default';
+  window.placeholders = window.placeholders || {};
+  if (!window.placeholders[key]) {
+    window.placeholders[key] = (async () => {
+      const placeholders = prefix ? { ...await fetchPlaceholders() } : {};
+      try {
+        const resp = await fetch(`${prefix ? `/${prefix}` : ''}/placeholders.json`);
+        if (resp.ok) {
+          const json = await resp.json();
+          json.data
+            .filter((placeholder) => placeholder.Key)
+            .forEach((placeholder) => {
+              placeholders[toCamelCase(placeholder.Key)] = placeholder.Text;
+            });
+        }
+      } catch (error) {
+        // error loading placeholders
+      }
+      return placeholders;
+    })();
+  }
+  return window.placeholders[key];
+}
+
+/**
+ * Returns a placeholder text with its `{name}` tokens replaced by the given values.
+ * @param {Object} placeholders The placeholders, as returned by fetchPlaceholders()
+ * @param {string} key The camel-cased placeholder key
+ * @param {string} [fallback] The text to use if the placeholder is not defined
+ * @param {Object} [values] The values of the tokens
+ * @returns {string} The text
+ */
+function formatPlaceholder(placeholders, key, fallback = '', values = {}) {
+  const text = (placeholders && placeholders[key]) || fallback || key;
+  return text.replace(/\{(\w+)\}/g, (token, name) => (name in values ? `${values[name]}` : token));
+}
+
 /**
  * Extracts the config from a block.
  * @param {Element} block The block element
@@ -289,11 +373,53 @@ function getMetadata(name, doc = document) {
 }
 
 /**
- * Returns a picture element with webp and fallbacks
+ * Reads the intrinsic size of an image from its URL, as media bus URLs
+ * carry it in their hash (eg. `#width=1600&height=900`).
+ * @param {URL} url The image URL
+ * @returns {{width: number, height: number}|null} The size, if known
+ */
+function getImageSizeFromUrl(url) {
+  const params = new URLSearchParams(url.hash.substring(1));
+  const width = parseInt(params.get('width'), 10);
+  const height = parseInt(params.get('height'), 10);
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Builds the URL of an image rendition in a given width and format.
+ * Same origin and media bus images use the media bus parameters, Dynamic Media
+ * images use its image serving parameters and other external images are kept as is.
+ * @param {URL} url The image URL
+ * @param {string|number} width The rendition width
+ * @param {string} format The rendition format, eg. `avif`, `webply` or `jpg`
+ * @returns {string|null} The rendition URL, or null if the format is not supported
+ */
+function getImageRenditionUrl(url, width, format) {
+  if (url.hostname.endsWith('.scene7.com') || url.pathname.startsWith('/is/image/')) {
+    const fmt = { webply: 'webp', jpeg: 'jpg' }[format] || format;
+    return `${url.origin}${url.pathname}?wid=${width}&fmt=${fmt}&qlt=85`;
+  }
+  if (url.origin === window.location.origin || /\/media_[0-9a-f]+\./.test(url.pathname)) {
+    // keep the host of media bus images served from another origin
+    const origin = url.origin === window.location.origin ? '' : url.origin;
+    return `${origin}${url.pathname}?width=${width}&format=${format}&optimize=medium`;
+  }
+  // unknown external image service, only the original can be used
+  return ['avif', 'webply'].includes(format) ? null : url.href;
+}
+
+/**
+ * Returns a picture element with avif, webp and fallbacks
  * @param {string} src The image URL
  * @param {string} [alt] The image alternative text
  * @param {boolean} [eager] Set loading attribute to eager
- * @param {Array} [breakpoints] Breakpoints and corresponding params (eg. width)
+ * @param {Array} [breakpoints] Breakpoints and corresponding params (eg. width), a breakpoint
+ * with its own `src` shows a different image (eg. crop) at that breakpoint
+ * @param {Object} [options] Additional options
+ * @param {number} [options.width] The intrinsic width of the image
+ * @param {number} [options.height] The intrinsic height of the image
+ * @param {string} [options.fetchPriority] The fetch priority, eg. `high` for the LCP candidate
+ * @param {Array} [options.formats] The next-gen formats to offer, in order of preference
  * @returns {Element} The picture element
  */
 function createOptimizedPicture(
@@ -301,34 +427,65 @@ function createOptimizedPicture(
   alt = '',
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
 ) {
-  const url = new URL(src, window.location.href);
+  const { fetchPriority, formats = ['avif', 'webply'] } = options;
   const picture = document.createElement('picture');
-  const { pathname } = url;
-  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
-
-  // webp
-  breakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/webp');
-    source.setAttribute('srcset', `${pathname}?width=${br.width}&format=webply&optimize=medium`);
-    picture.appendChild(source);
+  const renditions = breakpoints.map((br) => {
+    const url = new URL(br.src || src, window.location.href);
+    const { pathname } = url;
+    const size = getImageSizeFromUrl(url)
+      || (!br.src && options.width && options.height
+        ? { width: +options.width, height: +options.height } : null);
+    return {
+      ...br,
+      url,
+      ext: (pathname.match(/\.([a-z0-9]+)$/i) || [null, 'jpeg'])[1],
+      // rendered size, keeping the aspect ratio of the image
+      size: size && {
+        width: +br.width,
+        height: Math.round((+br.width * size.height) / size.width),
+      },
+    };
+  });
+  const setSize = (el, { size }) => {
+    if (size) {
+      el.setAttribute('width', size.width);
+      el.setAttribute('height', size.height);
+    }
+  };
+
+  // next-gen formats
+  formats.forEach((format) => {
+    renditions.forEach((br) => {
+      const srcset = getImageRenditionUrl(br.url, br.width, format);
+      if (!srcset) return;
+      const source = document.createElement('source');
+      if (br.media) source.setAttribute('media', br.media);
+      source.setAttribute('type', `image/${format === 'webply' ? 'webp' : format}`);
+      source.setAttribute('srcset', srcset);
+      setSize(source, br);
+      picture.appendChild(source);
+    });
   });
 
   // fallback
-  breakpoints.forEach((br, i) => {
-    if (i < breakpoints.length - 1) {
+  renditions.forEach((br, i) => {
+    const url = getImageRenditionUrl(br.url, br.width, br.ext);
+    if (i < renditions.length - 1) {
       const source = document.createElement('source');
       if (br.media) source.setAttribute('media', br.media);
-      source.setAttribute('srcset', `${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
+      source.setAttribute('srcset', url);
+      setSize(source, br);
       picture.appendChild(source);
     } else {
       const img = document.createElement('img');
       img.setAttribute('loading', eager ? 'eager' : 'lazy');
+      if (fetchPriority) img.setAttribute('fetchpriority', fetchPriority);
       img.setAttribute('alt', alt);
+      setSize(img, br);
       picture.appendChild(img);
-      img.setAttribute('src', `${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
+      img.setAttribute('src', url);
     }
   });
 
@@ -442,17 +599,15 @@ function decorateButtons(element) {
 
 /**
  * Add <img> for icon, prefixed with codeBasePath and optional prefix.
- * @param {Element} [span] span element with icon classes
- * @param {string} [prefix] prefix to be added to icon src
+ * @param {Element} span span element with icon classes
+ * @param {string} iconName name of the icon
+ * @param {string} src URL of the icon
  * @param {string} [alt] alt text to be added to icon
  */
-function decorateIcon(span, prefix = '', alt = '') {
-  const iconName = Array.from(span.classList)
-    .find((c) => c.startsWith('icon-'))
-    .substring(5);
+function decorateIconImg(span, iconName, src, alt = '') {
   const img = document.createElement('img');
   img.dataset.iconName = iconName;
-  img.src = `${window.hlx.codeBasePath}${prefix}/icons/${iconName}.svg`;
+  img.src = src;
   img.alt = alt;
   img.loading = 'lazy';
   img.width = 16;
@@ -460,14 +615,142 @@ function decorateIcon(span, prefix = '', alt = '') {
   span.append(img);
 }
 
+// icons added to the sprite, mapped to the promise of their symbol
+const iconSymbols = new Map();
+
 /**
- * Add <img> for icons, prefixed with codeBasePath and optional prefix.
+ * Adds an icon as <symbol> to the shared icon sprite, fetching it only once.
+ * @param {string} src URL of the icon
+ * @returns {Promise<Element>} The symbol element
+ */
+function loadIconSymbol(src) {
+  if (!iconSymbols.has(src)) {
+    const id = `icons-sprite-${iconSymbols.size + 1}`;
+    iconSymbols.set(src, (async () => {
+      const resp = await fetch(src);
+      if (!resp.ok) throw new Error(`failed to load icon ${src}`);
+      const svg = new DOMParser()
+        .parseFromString(await resp.text(), 'image/svg+xml')
+        .querySelector('svg');
+      if (!svg) throw new Error(`invalid icon ${src}`);
+      svg.querySelectorAll('script, foreignObject').forEach((el) => el.remove());
+
+      let sprite = document.getElementById('icons-sprite');
+      if (!sprite) {
+        sprite = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        sprite.id = 'icons-sprite';
+        sprite.setAttribute('aria-hidden', 'true');
+        sprite.setAttribute('style', 'position: absolute; width: 0; height: 0; overflow: hidden;');
+        document.body.prepend(sprite);
+      }
+      const symbol = document.createElementNS('http://www.w3.org/2000/svg', 'symbol');
+      symbol.id = id;
+      const width = parseFloat(svg.getAttribute('width')) || 24;
+      const height = parseFloat(svg.getAttribute('height')) || 24;
+      symbol.setAttribute('viewBox', svg.getAttribute('viewBox') || `0 0 ${width} ${height}`);
+      symbol.append(...svg.childNodes);
+      sprite.append(symbol);
+      return symbol;
+    })());
+  }
+  return iconSymbols.get(src);
+}
+
+// icons waiting to come near the viewport, mapped to the function that lets them load
+const iconsWaiting = new Map();
+let iconObserver;
+
+/**
+ * Waits until an icon comes near the viewport, so icons are fetched like lazy images
+ * and the ones below the fold do not compete with the LCP.
+ * @param {Element} span span element of the icon
+ * @returns {Promise} Resolves when the icon is near the viewport
+ */
+function waitForIconInView(span) {
+  if (!('IntersectionObserver' in window)) return Promise.resolve();
+  if (!iconObserver) {
+    iconObserver = new IntersectionObserver((entries) => {
+      entries.filter((entry) => entry.isIntersecting).forEach(({ target }) => {
+        iconObserver.unobserve(target);
+        iconsWaiting.get(target)();
+        iconsWaiting.delete(target);
+      });
+    }, { rootMargin: '200px' });
+  }
+  return new Promise((resolve) => {
+    iconsWaiting.set(span, resolve);
+    iconObserver.observe(span);
+  });
+}
+
+/**
+ * Add inline <svg> for icon, referencing its symbol in the shared icon sprite.
+ * The icon inherits the text color and is sized according to its viewBox.
+ * The symbol is only fetched once the icon is near the viewport.
+ * Falls back to an <img> if the icon cannot be inlined.
+ * @param {Element} span span element with icon classes
+ * @param {string} iconName name of the icon
+ * @param {string} src URL of the icon
+ * @param {string} [alt] alt text to be added to icon
+ */
+async function decorateIconSvg(span, iconName, src, alt = '') {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.dataset.iconName = iconName;
+  svg.setAttribute('fill', 'currentColor');
+  if (alt) {
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', alt);
+  } else {
+    svg.setAttribute('aria-hidden', 'true');
+  }
+  const use = document.createElementNS('http://www.w3.org/2000/svg', 'use');
+  svg.append(use);
+  span.append(svg);
+  try {
+    await waitForIconInView(span);
+    const symbol = await loadIconSymbol(src);
+    const viewBox = symbol.getAttribute('viewBox');
+    const [, , width, height] = viewBox.split(/[\s,]+/);
+    svg.setAttribute('viewBox', viewBox);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    use.setAttribute('href', `#${symbol.id}`);
+  } catch (error) {
+    svg.remove();
+    decorateIconImg(span, iconName, src, alt);
+  }
+}
+
+/**
+ * Add icon, prefixed with codeBasePath and optional prefix.
+ * Icons are inlined as <svg> unless `window.hlx.iconMode` is set to `img`.
+ * @param {Element} [span] span element with icon classes
+ * @param {string} [prefix] prefix to be added to icon src
+ * @param {string} [alt] alt text to be added to icon
+ * @returns {Promise} Resolves when the icon is rendered
+ */
+async function decorateIcon(span, prefix = '', alt = '') {
+  const iconName = Array.from(span.classList)
+    .find((c) => c.startsWith('icon-'))
+    .substring(5);
+  const src = `${window.hlx.codeBasePath}${prefix}/icons/${iconName}.svg`;
+  if (window.hlx.iconMode === 'img') {
+    decorateIconImg(span, iconName, src, alt);
+  } else {
+    await decorateIconSvg(span, iconName, src, alt);
+  }
+}
+
+/**
+ * Add icons, prefixed with codeBasePath and optional prefix.
  * @param {Element} [element] Element containing icons
  * @param {string} [prefix] prefix to be added to icon the src
  */
 function decorateIcons(element, prefix = '') {
   const icons = element.querySelectorAll('span.icon');
   icons.forEach((span) => {
+    // skip icons that were already decorated
+    if (span.querySelector('[data-icon-name]')) return;
     decorateIcon(span, prefix);
   });
 }
@@ -545,39 +828,89 @@ function buildBlock(blockName, content) {
   return blockEl;
 }
 
+/**
+ * Imports the JS module of a block, retrying failed imports.
+ * Browsers cache failed module imports, so retries use a distinct URL.
+ * @param {string} blockName The block name
+ * @param {number} [retries] The number of times to retry a failed import
+ * @param {number} [attempt] The current attempt
+ * @returns {Promise<Object>} The block module
+ */
+async function importBlockModule(blockName, retries = 0, attempt = 0) {
+  const src = `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`;
+  try {
+    return await import(attempt ? `${src}?retry=${attempt}` : src);
+  } catch (error) {
+    if (attempt >= retries) throw error;
+    return importBlockModule(blockName, retries, attempt + 1);
+  }
+}
+
+/**
+ * Puts a block that failed to load into its error state.
+ * The block module can export a `fallback(block, error)` function to render
+ * alternative content, otherwise the authored content is removed.
+ * @param {Element} block The block element
+ * @param {Error} error The error that made the block fail
+ * @param {Object} [mod] The block module, if it could be imported
+ */
+async function renderBlockError(block, error, mod) {
+  const { blockName } = block.dataset;
+  // eslint-disable-next-line no-console
+  console.error(`failed to load block ${blockName}`, error);
+  block.dataset.blockStatus = 'error';
+  sampleRUM('error', { source: `block:${blockName}`, target: error?.message || String(error) });
+  if (mod && mod.fallback) {
+    try {
+      await mod.fallback(block, error);
+      return;
+    } catch (fallbackError) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to render fallback for ${blockName}`, fallbackError);
+    }
+  }
+  block.replaceChildren();
+}
+
 /**
  * Loads JS and CSS for a block.
  * @param {Element} block The block element
  */
 async function loadBlock(block) {
   const status = block.dataset.blockStatus;
-  if (status !== 'loading' && status !== 'loaded') {
+  if (status !== 'loading' && status !== 'loaded' && status !== 'error') {
     block.dataset.blockStatus = 'loading';
     const { blockName } = block.dataset;
-    try {
-      const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`);
-      const decorationComplete = new Promise((resolve) => {
-        (async () => {
-          try {
-            const mod = await import(
-              `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`
-            );
-            if (mod.default) {
-              await mod.default(block);
-            }
-          } catch (error) {
-            // eslint-disable-next-line no-console
-            console.log(`failed to load module for ${blockName}`, error);
-          }
-          resolve();
-        })();
+    const start = performance.now();
+    const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`)
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.log(`failed to load css for ${blockName}`, error);
       });
-      await Promise.all([cssLoaded, decorationComplete]);
+    let mod;
+    let failure;
+    try {
+      mod = await importBlockModule(blockName, window.hlx.blockRetries);
+      if (mod.default) {
+        await mod.default(block);
+      }
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.log(`failed to load block ${blockName}`, error);
+      failure = error;
     }
-    block.dataset.blockStatus = 'loaded';
+    await cssLoaded;
+    if (failure) {
+      await renderBlockError(block, failure, mod);
+    } else {
+      block.dataset.blockStatus = 'loaded';
+    }
+    const detail = {
+      block,
+      blockName,
+      start,
+      duration: performance.now() - start,
+    };
+    if (failure) dispatchLifecycleEvent('block:error', { ...detail, error: failure });
+    else dispatchLifecycleEvent('block:loaded', detail);
   }
   return block;
 }
@@ -599,6 +932,7 @@ function decorateBlock(block) {
     if (section) section.classList.add(`${shortBlockName}-container`);
     // eslint-disable-next-line no-use-before-define
     decorateButtons(block);
+    dispatchLifecycleEvent('block:decorated', { block, blockName: shortBlockName });
   }
 }
 
@@ -643,6 +977,7 @@ async function waitForFirstImage(section) {
   await new Promise((resolve) => {
     if (lcpCandidate && !lcpCandidate.complete) {
       lcpCandidate.setAttribute('loading', 'eager');
+      lcpCandidate.setAttribute('fetchpriority', 'high');
       lcpCandidate.addEventListener('load', resolve);
       lcpCandidate.addEventListener('error', resolve);
     } else {
@@ -651,40 +986,176 @@ async function waitForFirstImage(section) {
   });
 }
 
+/**
+ * Loads a block, giving up waiting for it after a timeout.
+ * The block keeps loading in the background and updates its status once done.
+ * @param {Element} block The block element
+ * @param {number} timeout The time to wait for the block in ms
+ * @returns {Promise} Resolves when the block is loaded or the timeout is hit
+ */
+async function loadBlockWithTimeout(block, timeout) {
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      // eslint-disable-next-line no-console
+      console.warn(`block ${block.dataset.blockName} did not load within ${timeout}ms`);
+      resolve();
+    }, timeout);
+  });
+  await Promise.race([loadBlock(block), timedOut]);
+  clearTimeout(timer);
+}
+
+/**
+ * Loads blocks concurrently, with at most `concurrency` blocks loading at once.
+ * Blocks are started in document order.
+ * @param {Element[]} blocks The block elements
+ * @param {number} concurrency The maximum number of blocks loading at once
+ * @param {number} timeout The time to wait for each block in ms
+ */
+async function loadBlocks(blocks, concurrency, timeout) {
+  const queue = [...blocks];
+  const worker = async () => {
+    while (queue.length) {
+      // eslint-disable-next-line no-await-in-loop
+      await loadBlockWithTimeout(queue.shift(), timeout);
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, queue.length));
+  await Promise.all([...Array(workers)].map(worker));
+}
+
+// sections currently loading, mapped to the promise of their loading
+const sectionsLoading = new WeakMap();
+
 /**
  * Loads all blocks in a section.
+ * Blocks load concurrently up to `window.hlx.blockConcurrency`, except in the first
+ * section of the page where all blocks start at once. The section is revealed once every
+ * block either settled or exceeded `window.hlx.blockTimeout`.
  * @param {Element} section The section element
+ * @param {Function} [loadCallback] Called once all blocks are loaded
  */
-
 async function loadSection(section, loadCallback) {
   const status = section.dataset.sectionStatus;
-  if (!status || status === 'initialized') {
+  if (status === 'loading' && sectionsLoading.has(section)) {
+    await sectionsLoading.get(section);
+  } else if (!status || status === 'initialized') {
     section.dataset.sectionStatus = 'loading';
-    const blocks = [...section.querySelectorAll('div.block')];
-    for (let i = 0; i < blocks.length; i += 1) {
-      // eslint-disable-next-line no-await-in-loop
-      await loadBlock(blocks[i]);
-    }
-    if (loadCallback) await loadCallback(section);
-    section.dataset.sectionStatus = 'loaded';
-    section.style.display = null;
+    const loading = (async () => {
+      const start = performance.now();
+      const blocks = [...section.querySelectorAll('div.block')];
+      const { blockConcurrency = 4, blockTimeout = 10000 } = window.hlx || {};
+      const isFirstSection = document.querySelector('main .section') === section;
+      await loadBlocks(blocks, isFirstSection ? blocks.length : blockConcurrency, blockTimeout);
+      if (loadCallback) await loadCallback(section);
+      section.dataset.sectionStatus = 'loaded';
+      section.style.display = null;
+      dispatchLifecycleEvent('section:loaded', {
+        section,
+        blocks,
+        start,
+        duration: performance.now() - start,
+      });
+    })();
+    sectionsLoading.set(section, loading);
+    await loading;
+    sectionsLoading.delete(section);
   }
 }
 
+/**
+ * Loads sections one after the other as they approach the viewport.
+ * Pending sections are hidden and cannot be observed themselves, so a sentinel
+ * placed in front of the first section that is not loaded yet is observed instead.
+ * @param {Element[]} sections The section elements to load
+ * @param {string} rootMargin The margin around the viewport that triggers loading
+ * @param {Function} [onComplete] Called once all sections are loaded
+ */
+function loadSectionsOnScroll(sections, rootMargin, onComplete) {
+  const queue = [...sections];
+  const sentinel = document.createElement('span');
+  sentinel.style.display = 'block';
+  sentinel.setAttribute('aria-hidden', 'true');
+  const observer = new IntersectionObserver((entries) => {
+    if (!entries.some((entry) => entry.isIntersecting)) return;
+    observer.unobserve(sentinel);
+    // the sentinel moves on once the section is loaded
+    loadSection(queue[0]);
+  }, { rootMargin });
+  let unsubscribe = () => {};
+
+  // sections may also be loaded by other means, eg. to scroll to an anchor further down,
+  // so the sentinel always goes in front of the first section that is not loaded yet
+  const observeNext = () => {
+    observer.unobserve(sentinel);
+    while (queue.length && queue[0].dataset.sectionStatus === 'loaded') queue.shift();
+    if (queue.length && queue[0].isConnected) {
+      queue[0].before(sentinel);
+      observer.observe(sentinel);
+    } else {
+      sentinel.remove();
+      observer.disconnect();
+      unsubscribe();
+      if (onComplete) onComplete();
+    }
+  };
+  unsubscribe = subscribe('section:loaded', ({ section }) => {
+    if (queue.includes(section)) observeNext();
+  });
+  observeNext();
+}
+
 /**
  * Loads all sections.
+ * If `window.hlx.lazySections` is set, only the first `eager` sections are loaded right
+ * away and the rest is loaded as it gets within `rootMargin` of the viewport. Lighthouse
+ * runs (`?lighthouse=on`) and detached containers, like fragments, always load everything.
  * @param {Element} element The parent element of sections to load
  */
-
 async function loadSections(element) {
+  const start = performance.now();
   const sections = [...element.querySelectorAll('div.section')];
-  for (let i = 0; i < sections.length; i += 1) {
+  const { lazySections, lighthouse } = window.hlx || {};
+  const lazy = !!lazySections && !lighthouse && element.isConnected && 'IntersectionObserver' in window;
+  const eager = lazy ? Math.max(1, lazySections.eager || 1) : sections.length;
+  const complete = () => {
+    if (element === document.querySelector('main')) {
+      dispatchLifecycleEvent('page:lazy-complete', {
+        main: element,
+        sections,
+        start,
+        duration: performance.now() - start,
+      });
+    }
+  };
+  for (let i = 0; i < Math.min(eager, sections.length); i += 1) {
     // eslint-disable-next-line no-await-in-loop
     await loadSection(sections[i]);
     if (i === 0 && sampleRUM.enhance) {
       sampleRUM.enhance();
     }
   }
+  if (sections.length > eager) {
+    loadSectionsOnScroll(sections.slice(eager), lazySections.rootMargin || '0px', complete);
+  } else {
+    complete();
+  }
+}
+
+/**
+ * Loads all sections up to and including the one holding the given element.
+ * @param {Element} element An element inside a section
+ */
+async function loadSectionsUntil(element) {
+  const target = element.closest('.section');
+  if (!target) return;
+  const sections = [...target.parentElement.querySelectorAll(':scope > div.section')];
+  const index = sections.indexOf(target);
+  for (let i = 0; i <= index; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await loadSection(sections[i]);
+  }
 }
 
 init();
@@ -695,9 +1166,12 @@ export {
   decorateBlock,
   decorateBlocks,
   decorateButtons,
+  decorateIcon,
   decorateIcons,
   decorateSections,
   decorateTemplateAndTheme,
+  fetchPlaceholders,
+  formatPlaceholder,
   getMetadata,
   loadBlock,
   loadCSS,
@@ -706,9 +1180,11 @@ export {
   loadScript,
   loadSection,
   loadSections,
+  loadSectionsUntil,
   readBlockConfig,
   sampleRUM,
   setup,
+  subscribe,
   toCamelCase,
   toClassName,
   waitForFirstImage,
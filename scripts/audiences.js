@@ -0,0 +1,100 @@
+/*
+ * Audiences
+ * Conditions to target content at audiences. A condition is a comma separated list of
+ * audiences that must all match, each with an optional value after a colon, eg.
+ * `returning, mobile`, `param:utm_source=newsletter` or `after:2026-11-01, before:2026-12-01`.
+ *
+ * registerAudience('member', () => document.cookie.includes('member='));
+ */
+
+const VISITED_KEY = 'audience-visited';
+const RETURNING_KEY = 'audience-returning';
+
+// audience predicates by their lower-cased name
+const audiences = new Map();
+
+/**
+ * Registers an audience, or replaces the one of the same name.
+ * @param {string} name The name of the audience
+ * @param {Function} predicate Called with the value of the condition, may be async
+ */
+export function registerAudience(name, predicate) {
+  audiences.set(name.toLowerCase(), predicate);
+}
+
+/**
+ * Records the visit once per session, noting whether the visitor has been here
+ * in an earlier session.
+ */
+export function recordVisit() {
+  try {
+    if (sessionStorage.getItem(RETURNING_KEY) !== null) return;
+    sessionStorage.setItem(RETURNING_KEY, String(!!localStorage.getItem(VISITED_KEY)));
+    localStorage.setItem(VISITED_KEY, new Date().toISOString());
+  } catch (e) {
+    // storage not available, every visit is a new one
+  }
+}
+
+/**
+ * Tells whether the visitor has been here in an earlier session.
+ * @returns {boolean} Whether the visitor is returning
+ */
+export function isReturningVisitor() {
+  recordVisit();
+  try {
+    return sessionStorage.getItem(RETURNING_KEY) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns the device class from the viewport width, using the breakpoints of the styles.
+ * @returns {string} `mobile`, `tablet` or `desktop`
+ */
+function getDeviceClass() {
+  if (window.matchMedia('(min-width: 900px)').matches) return 'desktop';
+  if (window.matchMedia('(min-width: 600px)').matches) return 'tablet';
+  return 'mobile';
+}
+
+registerAudience('new', () => !isReturningVisitor());
+registerAudience('returning', () => isReturningVisitor());
+['mobile', 'tablet', 'desktop'].forEach((device) => {
+  registerAudience(device, () => getDeviceClass() === device);
+});
+registerAudience('param', (value) => {
+  const [key, expected] = value.split('=');
+  const params = new URLSearchParams(window.location.search);
+  return expected === undefined ? params.has(key) : params.get(key) === expected;
+});
+registerAudience('after', (value) => Date.now() >= Date.parse(value));
+registerAudience('before', (value) => Date.now() < Date.parse(value));
+
+/**
+ * Tells whether the visitor matches a condition.
+ * Unknown audiences and failing predicates do not match.
+ * @param {string} condition The condition
+ * @returns {Promise<boolean>} Whether all audiences of the condition match
+ */
+export async function matchesAudience(condition) {
+  const terms = condition.split(',').map((term) => term.trim()).filter((term) => term);
+  const results = await Promise.all(terms.map(async (term) => {
+    const [name, ...value] = term.split(':');
+    const predicate = audiences.get(name.trim().toLowerCase());
+    if (!predicate) {
+      // eslint-disable-next-line no-console
+      console.warn(`unknown audience ${name}`);
+      return false;
+    }
+    try {
+      return !!(await predicate(value.join(':').trim()));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to match audience ${name}`, error);
+      return false;
+    }
+  }));
+  return results.length > 0 && results.every((result) => result);
+}
@@ -9,7 +9,7 @@ import {
   loadSections,
 } from './aem.js';
 import { decorateRichtext } from './editor-support-rte.js';
-import { decorateMain } from './scripts.js';
+import { buildAutoBlocks, decorateMain } from './scripts.js';
 
 async function applyChanges(event) {
   // redecorate default content and blocks on patches (in the properties rail)
@@ -73,6 +73,7 @@ async function applyChanges(event) {
           element.insertAdjacentElement('afterend', newSection);
           decorateButtons(newSection);
           decorateIcons(newSection);
+          buildAutoBlocks(parentElement);
           decorateRichtext(newSection);
           decorateSections(parentElement);
           decorateBlocks(parentElement);
@@ -93,6 +94,17 @@ async function applyChanges(event) {
   return false;
 }
 
+/**
+ * Lets blocks reveal the content selected in the editor, eg. in a hidden tab.
+ * @param {Event} event The selection event
+ */
+function handleSelection(event) {
+  const { detail } = event;
+  if (!detail?.resource || !detail.selected) return;
+  const element = document.querySelector(`[data-aue-resource="${detail.resource}"]`);
+  element?.dispatchEvent(new CustomEvent('editor:select', { bubbles: true }));
+}
+
 function attachEventListners(main) {
   [
     'aue:content-patch',
@@ -106,6 +118,7 @@ function attachEventListners(main) {
     const applied = await applyChanges(event);
     if (!applied) window.location.reload();
   }));
+  main?.addEventListener('aue:ui-select', handleSelection);
 }
 
 attachEventListners(document.querySelector('main'));
@@ -0,0 +1,131 @@
+/*
+ * Embeds
+ * Providers of third party content that can be embedded, and the consent to contact them.
+ *
+ * registerEmbedProvider('spotify', {
+ *   match: (url) => url.hostname === 'open.spotify.com',
+ *   src: (url) => `https://open.spotify.com/embed${url.pathname}`,
+ *   aspectRatio: '16 / 9',
+ * });
+ * setConsentCheck((provider) => window.myConsentManager.hasConsent(provider.name));
+ *
+ * Only links to the hosts of the built-in providers are turned into embed blocks
+ * automatically, links to other providers need an embed block.
+ */
+
+// embed providers by their name, in the order they are matched
+const providers = new Map();
+
+// the visitor has not agreed to contact third parties, until the consent manager says so
+let consentCheck = () => false;
+
+/**
+ * Registers an embed provider, or replaces the one of the same name.
+ * @param {string} name The name of the provider
+ * @param {Object} provider The provider
+ * @param {Function} provider.match Called with the URL of a link, tells whether it is supported
+ * @param {Function} provider.src Called with the URL of a link and `{ autoplay }`,
+ * returns the URL of the iframe
+ * @param {Function} [provider.poster] Called with the URL of a link, returns the URL of a
+ * poster image, may be async. Only used with consent, as it is served by the provider.
+ * @param {string} [provider.aspectRatio] The aspect ratio of the iframe
+ * @param {boolean} [provider.clickToLoad] Whether to wait for a click even with consent,
+ * eg. for videos
+ */
+export function registerEmbedProvider(name, provider) {
+  providers.set(name, {
+    aspectRatio: '16 / 9',
+    clickToLoad: false,
+    ...provider,
+    name,
+  });
+}
+
+/**
+ * Returns the provider for a link.
+ * @param {string|URL} href The URL of the link
+ * @returns {Object|undefined} The provider, if the link can be embedded
+ */
+export function getEmbedProvider(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    return [...providers.values()].find((provider) => provider.match(url));
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Sets how to check whether the visitor agreed to contact a provider,
+ * eg. by asking the consent manager of the site.
+ * @param {Function} check Called with the provider, returns whether there is consent
+ */
+export function setConsentCheck(check) {
+  consentCheck = check;
+}
+
+/**
+ * Tells whether the visitor agreed to contact a provider.
+ * @param {Object} provider The provider
+ * @returns {boolean} Whether there is consent
+ */
+export function hasConsent(provider) {
+  try {
+    return !!consentCheck(provider);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns the id of a YouTube video.
+ * @param {URL} url The URL of the video
+ * @returns {string} The id
+ */
+function getYouTubeId(url) {
+  if (url.hostname.endsWith('youtu.be')) return url.pathname.substring(1);
+  return url.searchParams.get('v') || url.pathname.split('/').pop();
+}
+
+registerEmbedProvider('youtube', {
+  match: (url) => (/(^|\.)youtube\.com$/.test(url.hostname)
+    && ((url.pathname === '/watch' && url.searchParams.has('v')) || /^\/embed\/[\w-]+/.test(url.pathname)))
+    || (/(^|\.)youtu\.be$/.test(url.hostname) && /^\/[\w-]+$/.test(url.pathname)),
+  src: (url, { autoplay } = {}) => `https://www.youtube-nocookie.com/embed/${getYouTubeId(url)}?rel=0${autoplay ? '&autoplay=1' : ''}`,
+  poster: (url) => `https://i.ytimg.com/vi/${getYouTubeId(url)}/hqdefault.jpg`,
+  clickToLoad: true,
+});
+
+registerEmbedProvider('vimeo', {
+  match: (url) => /(^|\.)vimeo\.com$/.test(url.hostname) && /\/\d+\/?$/.test(url.pathname),
+  src: (url, { autoplay } = {}) => `https://player.vimeo.com/video/${url.pathname.match(/(\d+)\/?$/)[1]}?dnt=1${autoplay ? '&autoplay=1' : ''}`,
+  poster: async (url) => {
+    const resp = await fetch(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(url.href)}`);
+    return resp.ok ? (await resp.json()).thumbnail_url : null;
+  },
+  clickToLoad: true,
+});
+
+registerEmbedProvider('x', {
+  match: (url) => /(^|\.)(twitter|x)\.com$/.test(url.hostname) && /\/status\/\d+/.test(url.pathname),
+  src: (url) => `https://platform.twitter.com/embed/Tweet.html?id=${url.pathname.match(/\/status\/(\d+)/)[1]}&dnt=true`,
+  aspectRatio: '4 / 5',
+});
+
+registerEmbedProvider('instagram', {
+  match: (url) => /(^|\.)instagram\.com$/.test(url.hostname) && /^\/(p|reel)\//.test(url.pathname),
+  src: (url) => `https://www.instagram.com${url.pathname.replace(/\/?$/, '/')}embed/`,
+  aspectRatio: '4 / 5',
+});
+
+registerEmbedProvider('maps', {
+  match: (url) => /^(www\.|maps\.)?google\.[a-z.]+$/.test(url.hostname)
+    && (url.hostname.startsWith('maps.') || url.pathname.startsWith('/maps')),
+  src: (url) => {
+    if (url.pathname.startsWith('/maps/embed')) return url.href;
+    const place = url.pathname.match(/\/place\/([^/]+)/);
+    const query = url.searchParams.get('q') || (place && decodeURIComponent(place[1].replace(/\+/g, ' '))) || '';
+    return `https://maps.google.com/maps?q=${encodeURIComponent(query)}&output=embed`;
+  },
+  aspectRatio: '4 / 3',
+});
@@ -0,0 +1,178 @@
+/*
+ * Query Index
+ * Client for the paginated JSON format of indexes and sheets, eg. /query-index.json.
+ *
+ * const posts = await queryIndex()
+ *   .filter((entry) => entry.path.startsWith('/blog/'))
+ *   .slice(0, 10)
+ *   .all();
+ */
+
+const CACHE_PREFIX = 'query-index:';
+
+// chunks fetched during this page view, keyed by their URL
+const chunks = new Map();
+
+/**
+ * Fetches one chunk of an index, caching it for the rest of the session.
+ * @param {string} url The URL of the chunk
+ * @returns {Promise<Object>} The chunk, as returned by the index
+ */
+function fetchChunk(url) {
+  if (!chunks.has(url)) {
+    chunks.set(url, (async () => {
+      try {
+        const cached = sessionStorage.getItem(`${CACHE_PREFIX}${url}`);
+        if (cached) return JSON.parse(cached);
+      } catch (e) {
+        // do nothing
+      }
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error(`failed to fetch ${url}: ${resp.status}`);
+      const json = await resp.json();
+      try {
+        sessionStorage.setItem(`${CACHE_PREFIX}${url}`, JSON.stringify(json));
+      } catch (e) {
+        // do nothing, eg. if the storage quota is exceeded
+      }
+      return json;
+    })());
+    // do not keep failed requests, so they are retried on the next query
+    chunks.get(url).catch(() => chunks.delete(url));
+  }
+  return chunks.get(url);
+}
+
+/**
+ * Reads all entries of an index, fetching its chunks as they are needed.
+ * @param {string} path The path of the index
+ * @param {string} [sheet] The sheet to read, for indexes with multiple sheets
+ * @param {number} chunkSize The number of entries to fetch at once
+ */
+async function* readIndex(path, sheet, chunkSize) {
+  let offset = 0;
+  let total = Infinity;
+  while (offset < total) {
+    const url = new URL(path, window.location.href);
+    url.searchParams.set('offset', offset);
+    url.searchParams.set('limit', chunkSize);
+    if (sheet) url.searchParams.set('sheet', sheet);
+    // eslint-disable-next-line no-await-in-loop
+    const json = await fetchChunk(url.href);
+    const chunk = json[':type'] === 'multi-sheet' ? json[sheet || json[':names'][0]] : json;
+    const data = (chunk && chunk.data) || [];
+    if (!data.length) return;
+    yield* data;
+    offset += data.length;
+    total = chunk.total ?? offset;
+  }
+}
+
+/**
+ * Fetches the plain HTML of the document of an index entry.
+ * @param {Object} entry The index entry
+ * @returns {Promise<Object>} The entry, with the parsed document as `doc`
+ */
+async function followEntry(entry) {
+  const resp = await fetch(`${entry.path}.plain.html`);
+  if (!resp.ok) return { ...entry, doc: null };
+  const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+  return { ...entry, doc: doc.body };
+}
+
+/**
+ * Creates a chainable query over a sequence of entries.
+ * @param {Function} source Returns an async iterator over the entries
+ * @returns {Object} The query
+ */
+function createQuery(source) {
+  return {
+    [Symbol.asyncIterator]: source,
+
+    /**
+     * Keeps the entries matching a predicate.
+     * @param {Function} predicate Called with each entry, may be async
+     */
+    filter: (predicate) => createQuery(async function* filter() {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of source()) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await predicate(entry)) yield entry;
+      }
+    }),
+
+    /**
+     * Transforms each entry.
+     * @param {Function} transform Called with each entry, may be async
+     */
+    map: (transform) => createQuery(async function* map() {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of source()) {
+        yield transform(entry);
+      }
+    }),
+
+    /**
+     * Keeps the entries from `start` up to, but not including, `end`.
+     * No more chunks are fetched once `end` is reached.
+     * @param {number} start The index of the first entry
+     * @param {number} [end] The index after the last entry
+     */
+    slice: (start, end = Infinity) => createQuery(async function* slice() {
+      if (end <= start) return;
+      let i = 0;
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of source()) {
+        if (i >= start) yield entry;
+        i += 1;
+        if (i >= end) return;
+      }
+    }),
+
+    /**
+     * Adds the parsed `.plain.html` document of each entry as `doc`.
+     */
+    follow: () => createQuery(async function* follow() {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of source()) {
+        yield followEntry(entry);
+      }
+    }),
+
+    /**
+     * Returns the first entry.
+     * @returns {Promise<Object|undefined>} The entry, if there is one
+     */
+    first: async () => {
+      const iterator = source();
+      const { value } = await iterator.next();
+      await iterator.return();
+      return value;
+    },
+
+    /**
+     * Returns all entries.
+     * @returns {Promise<Object[]>} The entries
+     */
+    all: async () => {
+      const entries = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of source()) {
+        entries.push(entry);
+      }
+      return entries;
+    },
+  };
+}
+
+/**
+ * Queries an index in the paginated JSON format.
+ * @param {string} [path] The path of the index
+ * @param {Object} [options] The query options
+ * @param {string} [options.sheet] The sheet to read, for indexes with multiple sheets
+ * @param {number} [options.chunkSize] The number of entries to fetch at once
+ * @returns {Object} The query
+ */
+export default function queryIndex(path = '/query-index.json', { sheet, chunkSize = 500 } = {}) {
+  return createQuery(() => readIndex(path, sheet, chunkSize));
+}
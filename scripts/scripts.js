@@ -1,4 +1,7 @@
 import {
+  buildBlock,
+  getMetadata,
+  toClassName,
   loadHeader,
   loadFooter,
   decorateButtons,
@@ -9,9 +12,86 @@ import {
   waitForFirstImage,
   loadSection,
   loadSections,
+  loadSectionsUntil,
   loadCSS,
 } from './aem.js';
 
+// locales served by this site, each is served from a path prefix of the same name
+const LOCALES = ['en', 'de', 'fr', 'fr-ca', 'es', 'it', 'nl', 'pt-br', 'ja', 'zh-cn', 'ar', 'he'];
+// the locale served from the root of the site, used as fallback for missing content
+const DEFAULT_LOCALE = 'en';
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+/**
+ * Returns the locale a path is prefixed with.
+ * @param {string} path The path
+ * @returns {string|undefined} The locale code, or undefined if the path is not localized
+ */
+function getLocaleFromPath(path) {
+  const [, segment] = path.toLowerCase().split('/');
+  return LOCALES.includes(segment) ? segment : undefined;
+}
+
+/**
+ * Returns the locale of the current page, from the `locale` metadata or the URL prefix.
+ * @returns {{code: string, lang: string, dir: string, prefix: string}} The locale
+ */
+export function getLocale() {
+  const code = getMetadata('locale').toLowerCase()
+    || getLocaleFromPath(window.location.pathname)
+    || DEFAULT_LOCALE;
+  const [language, region] = code.split('-');
+  return {
+    code,
+    lang: region ? `${language}-${region.toUpperCase()}` : language,
+    dir: RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr',
+    prefix: code === DEFAULT_LOCALE ? '' : `/${code}`,
+  };
+}
+
+/**
+ * Checks if a path belongs to the locale of the current page, eg. to filter index entries.
+ * Pages of the default locale are those without the prefix of another locale.
+ * @param {string} path The path
+ * @returns {boolean} true if the path is in the current locale
+ */
+export function isLocalePath(path) {
+  const { code, prefix } = getLocale();
+  if (prefix) return path.startsWith(`${prefix}/`);
+  const locale = getLocaleFromPath(path);
+  return !locale || locale === code;
+}
+
+/**
+ * Returns the variant of a path for the current locale.
+ * Paths that are already localized are returned as is.
+ * @param {string} path The path, eg. `/nav`
+ * @returns {string} The localized path, eg. `/de/nav`
+ */
+export function localizePath(path) {
+  const { prefix } = getLocale();
+  if (!prefix || !path.startsWith('/') || getLocaleFromPath(path)) return path;
+  return `${prefix}${path}`;
+}
+
+/**
+ * Returns the path of the current page in every locale of the site.
+ * @param {string} [path] The path, defaults to the one of the current page
+ * @returns {Array<{code: string, lang: string, path: string}>} The locale variants
+ */
+export function getLocaleVariants(path = window.location.pathname) {
+  const current = getLocaleFromPath(path);
+  const basePath = current ? path.substring(current.length + 1) || '/' : path;
+  return LOCALES.map((code) => {
+    const [language, region] = code.split('-');
+    return {
+      code,
+      lang: region ? `${language}-${region.toUpperCase()}` : language,
+      path: code === DEFAULT_LOCALE ? basePath : `/${code}${basePath}`,
+    };
+  });
+}
+
 /**
  * Moves all the attributes from a given elmenet to another given element.
  * @param {Element} from the element to copy attributes from
@@ -46,6 +126,33 @@ export function moveInstrumentation(from, to) {
   );
 }
 
+/**
+ * Returns the id the hash of the URL points at, keeping malformed escapes as they are.
+ * @param {string} [hash] The hash, with its leading `#`
+ * @returns {string} The id, empty if there is no hash
+ */
+export function getHashId(hash = window.location.hash) {
+  const id = hash.substring(1);
+  try {
+    return decodeURIComponent(id);
+  } catch (e) {
+    return id;
+  }
+}
+
+/**
+ * Returns an id for an element that is unique on the page, eg. to link to it with a hash.
+ * @param {string} label The label of the element
+ * @param {string} fallback The id to use if the label has no usable characters
+ * @returns {string} The id
+ */
+export function getUniqueId(label, fallback) {
+  const id = toClassName(label) || fallback;
+  let unique = id;
+  for (let i = 2; document.getElementById(unique); i += 1) unique = `${id}-${i}`;
+  return unique;
+}
+
 /**
  * load fonts.css and set a session storage flag
  */
@@ -58,17 +165,179 @@ async function loadFonts() {
   }
 }
 
+/**
+ * Auto-blocking rules, applied in ascending `order` by buildAutoBlocks().
+ * Each rule finds candidate elements in a container via `match` and turns
+ * each of them into a block via `build`.
+ * @type {Array<{name: string, order: number, match: Function, build: Function}>}
+ */
+const autoBlockRules = [];
+
+/**
+ * Registers an auto-blocking rule.
+ * @param {string} name The rule name, used to turn it off via page metadata
+ * @param {Object} rule The rule
+ * @param {Function} rule.match Returns the element(s) in the container to build blocks from
+ * @param {Function} rule.build Builds the block for a matched element
+ * @param {number} [rule.order] The position of the rule, lower runs first
+ */
+export function registerAutoBlock(name, { match, build, order = 100 }) {
+  const existing = autoBlockRules.findIndex((rule) => rule.name === name);
+  if (existing >= 0) autoBlockRules.splice(existing, 1);
+  autoBlockRules.push({
+    name,
+    order,
+    match,
+    build,
+  });
+  autoBlockRules.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Checks if an element is part of authored block content.
+ * @param {Element} element The element
+ * @returns {boolean} true if the element is inside a block
+ */
+function isInBlock(element) {
+  return !!element.closest('main > div > div[class], .block');
+}
+
+/**
+ * Checks if a link is the only content of a paragraph of a section.
+ * @param {Element} a The link
+ * @param {Element} [parent] The element the paragraph must be a child of, instead of a section
+ * @returns {boolean} true if the link stands alone
+ */
+function isBareLink(a, parent) {
+  const container = a.closest('p');
+  return !!container
+    && (parent ? container.parentElement === parent : container.matches('main > div > p'))
+    && container.textContent.trim() === a.textContent.trim();
+}
+
+/**
+ * Replaces the paragraph holding a link with a block built from the link.
+ * @param {string} blockName The name of the block to build
+ * @param {Element} a The link
+ */
+function buildBlockFromLink(blockName, a) {
+  const container = a.closest('p');
+  const link = a.cloneNode(true);
+  link.removeAttribute('class');
+  container.replaceWith(buildBlock(blockName, [[link]]));
+}
+
+registerAutoBlock('hero', {
+  order: 10,
+  match: (main) => {
+    const section = main.querySelector(':scope > div:first-child');
+    const h1 = section?.querySelector(':scope > h1');
+    const picture = section?.querySelector(':scope > p > picture, :scope > picture');
+    // eslint-disable-next-line no-bitwise
+    if (h1 && picture && (h1.compareDocumentPosition(picture) & Node.DOCUMENT_POSITION_PRECEDING)) {
+      return h1;
+    }
+    return null;
+  },
+  build: (h1, main) => {
+    const picture = h1.parentElement.querySelector('picture');
+    const pictureContainer = picture.parentElement;
+    const section = document.createElement('div');
+    section.append(buildBlock('hero', { elems: [picture, h1] }));
+    if (pictureContainer.tagName === 'P' && !pictureContainer.textContent.trim()) {
+      pictureContainer.remove();
+    }
+    main.prepend(section);
+  },
+});
+
+/**
+ * Returns the links to fragments that stand alone in a paragraph.
+ * @param {Element} container The element to look for links in
+ * @param {Element} [parent] The element the paragraphs must be children of
+ * @returns {Element[]} The links
+ */
+function getFragmentLinks(container, parent) {
+  return [...container.querySelectorAll('a[href*="/fragments/"]')]
+    .filter((a) => {
+      const { pathname } = new URL(a.href, window.location.href);
+      return pathname.startsWith('/fragments/') && isBareLink(a, parent);
+    });
+}
+
+registerAutoBlock('fragment', {
+  order: 20,
+  match: (main) => getFragmentLinks(main),
+  build: (a) => buildBlockFromLink('fragment', a),
+});
+
+/**
+ * Turns links to fragments that stand alone in a paragraph into fragment blocks,
+ * for content nested in blocks, which is left alone by auto-blocking.
+ * @param {Element} container The element holding the paragraphs
+ */
+export function buildFragmentBlocks(container) {
+  getFragmentLinks(container, container).forEach((a) => buildBlockFromLink('fragment', a));
+}
+
+// matches links to content of the built-in embed providers, like the providers themselves,
+// the embed block then matches the link against all registered providers
+const EMBED_LINKS = [
+  (url) => /(^|\.)youtube\.com$/.test(url.hostname)
+    && ((url.pathname === '/watch' && url.searchParams.has('v')) || /^\/embed\/[\w-]+/.test(url.pathname)),
+  (url) => /(^|\.)youtu\.be$/.test(url.hostname) && /^\/[\w-]+$/.test(url.pathname),
+  (url) => /(^|\.)vimeo\.com$/.test(url.hostname) && /\/\d+\/?$/.test(url.pathname),
+  (url) => /(^|\.)(twitter|x)\.com$/.test(url.hostname) && /\/status\/\d+/.test(url.pathname),
+  (url) => /(^|\.)instagram\.com$/.test(url.hostname) && /^\/(p|reel)\//.test(url.pathname),
+  (url) => /^(www\.|maps\.)?google\.[a-z.]+$/.test(url.hostname)
+    && (url.hostname.startsWith('maps.') || url.pathname.startsWith('/maps')),
+];
+
+/**
+ * Checks if a link points at content of a built-in embed provider,
+ * without loading the provider registry.
+ * @param {Element} a The link
+ * @returns {boolean} true if the link can likely be embedded
+ */
+function isEmbedLink(a) {
+  const url = new URL(a.href, window.location.href);
+  return EMBED_LINKS.some((match) => match(url));
+}
+
+registerAutoBlock('embed', {
+  order: 30,
+  match: (main) => [...main.querySelectorAll('a[href]')]
+    .filter((a) => isEmbedLink(a) && isBareLink(a)),
+  build: (a) => buildBlockFromLink('embed', a),
+});
+
 /**
  * Builds all synthetic blocks in a container element.
+ * Rules can be turned off per page with the `autoblocks-disabled` metadata,
+ * either by listing rule names or with `all`.
  * @param {Element} main The container element
  */
-function buildAutoBlocks() {
-  try {
-    // TODO: add auto block, if needed
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Auto Blocking failed', error);
-  }
+export function buildAutoBlocks(main) {
+  const disabled = getMetadata('autoblocks-disabled')
+    .split(',')
+    .map((name) => toClassName(name.trim()))
+    .filter((name) => name);
+  if (disabled.includes('all')) return;
+
+  autoBlockRules
+    .filter(({ name }) => !disabled.includes(name))
+    .forEach((rule) => {
+      try {
+        [rule.match(main) || []]
+          .flat()
+          // only touch content that is neither decorated nor already part of a block
+          .filter((el) => !el.closest('[data-section-status]') && !isInBlock(el))
+          .forEach((el) => rule.build(el, main));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`Auto Blocking failed for ${rule.name}`, error);
+      }
+    });
 }
 
 /**
@@ -90,8 +359,14 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  const { lang, dir } = getLocale();
+  document.documentElement.lang = lang;
+  document.documentElement.dir = dir;
   decorateTemplateAndTheme();
+  // reserve the space of the breadcrumbs before the header is loaded
+  if (['on', 'true', 'yes'].includes(getMetadata('breadcrumbs').toLowerCase())) {
+    document.body.classList.add('breadcrumbs-enabled');
+  }
   const main = doc.querySelector('main');
   if (main) {
     decorateMain(main);
@@ -109,6 +384,67 @@ async function loadEager(doc) {
   }
 }
 
+/**
+ * Returns the path of a modal, for same origin URLs of /modals/ paths only.
+ * @param {string} href The URL or path of the modal, eg. of a link or from the page URL
+ * @returns {string|null} The path to the fragment of the modal
+ */
+export function getModalPath(href) {
+  try {
+    const { origin, pathname } = new URL(href, window.location.href);
+    return origin === window.location.origin && pathname.startsWith('/modals/') ? pathname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Opens links to /modals/ paths in a modal instead of navigating,
+ * and the modal in the URL of the page on load.
+ * @param {Element} doc The container element
+ */
+function autolinkModals(doc) {
+  const loadModal = () => import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+  const findModalLink = (e) => {
+    const a = e.target.closest && e.target.closest('a[href]');
+    return a && getModalPath(a.href) ? a : null;
+  };
+
+  doc.addEventListener('click', async (e) => {
+    const a = findModalLink(e);
+    // keep opening in a new tab or window working
+    if (!a || e.defaultPrevented || e.button || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    e.preventDefault();
+    try {
+      const { openModal } = await loadModal();
+      openModal(getModalPath(a.href), { trigger: a });
+    } catch (error) {
+      // follow the link if modals cannot be loaded
+      window.location.href = a.href;
+    }
+  });
+  ['pointerover', 'focusin'].forEach((type) => {
+    doc.addEventListener(type, (e) => {
+      const a = findModalLink(e);
+      if (a) {
+        loadModal()
+          .then(({ prefetchModal }) => prefetchModal(getModalPath(a.href)))
+          .catch(() => {});
+      }
+    });
+  });
+
+  const path = new URLSearchParams(window.location.search).get('modal');
+  if (path) {
+    loadModal()
+      .then(({ openModal }) => openModal(path, { updateHistory: false }))
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error('failed to open modal', error);
+      });
+  }
+}
+
 /**
  * Loads everything that doesn't need to be delayed.
  * @param {Element} doc The container element
@@ -118,14 +454,33 @@ async function loadLazy(doc) {
   await loadSections(main);
 
   const { hash } = window.location;
-  const element = hash ? doc.getElementById(hash.substring(1)) : false;
-  if (hash && element) element.scrollIntoView();
+  const id = getHashId(hash);
+  let element = id ? doc.getElementById(id) : false;
+  if (id && !element) {
+    // the target may be created by a block in a section that is not loaded yet
+    await loadSectionsUntil([...main.querySelectorAll(':scope > div.section')].pop() || main);
+    element = doc.getElementById(id);
+  }
+  if (hash && element) {
+    // sections may be loaded on scroll, make sure the target and everything above is in place
+    await loadSectionsUntil(element);
+    element.scrollIntoView();
+  }
 
   loadHeader(doc.querySelector('header'));
   loadFooter(doc.querySelector('footer'));
+  autolinkModals(doc);
 
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
+
+  // count the visit for the new and returning visitor audiences
+  import('./audiences.js')
+    .then(({ recordVisit }) => recordVisit())
+    .catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('failed to record the visit', error);
+    });
 }
 
 /**